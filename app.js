@@ -1,6 +1,3 @@
-const SUPABASE_URL = CONFIG.SUPABASE_URL;
-const SUPABASE_KEY = CONFIG.SUPABASE_KEY;
-
 // --- STATE MANAGEMENT ---
 // Stores the data for every card so we can re-sort it later
 // Format: { "PlayerName": { "Spikes": {used:5, goals:1}, ... } }
@@ -10,225 +7,1651 @@ let GLOBAL_TEAM_STATS = {};
 // Stores the current sort state for every card
 // Format: { "PlayerName": { column: "used", direction: "desc" } }
 let CARD_SORT_STATE = {};
+let CARD_ENTITIES = {}; // cardId -> { name, type }, ids are by index so names never collide
 let GLOBAL_CHART_INSTANCES = {};
 
-// FIX: We rename this variable to 'db' to avoid conflict with the library name 'supabase'
-const db = window.supabase.createClient(SUPABASE_URL, SUPABASE_KEY);
+// Raw rows from the last fetch, kept so views can re-render without refetching
+let GLOBAL_EVENTS = [];
+let GLOBAL_MATCHES = [];
+
+// Seasons from seasons.json, oldest first. null = all time
+let SEASONS = [];
+let SELECTED_SEASON_INDEX = null;
+
+// Rows with player aliases applied (see PLAYER ALIASES), rebuilt when the rows or aliases change
+let NAMED_EVENTS = [];
+let NAMED_MATCHES = [];
+let NAMED_KEY = null;
+
+// Rows of the selected season, every dashboard view renders from these
+let SCOPED_EVENTS = [];
+let SCOPED_MATCHES = [];
+
+// Aggregates of the scoped rows from the last render (see BACKGROUND AGGREGATION)
+let DASHBOARD_STATS = null;
+let DASHBOARD_RENDER = 0;
+
+// Playday sessions, oldest first. null = show the most recent one
+let GLOBAL_PLAYDAYS = [];
+let SELECTED_PLAYDAY_INDEX = null;
+
+// Where rows come from (Supabase, or a local JSON/CSV export), see datasource.js
+let DATA_SOURCE = null;
+let STOP_LIVE_UPDATES = null;
 
 // --- MAIN FUNCTION ---
 async function initDashboard() {
-    console.log("Fetching data...");
+    // Browser connectivity only matters while subscribed to live updates
+    window.addEventListener('offline', () => { if (STOP_LIVE_UPDATES) setLiveStatus('offline'); });
+    window.addEventListener('online', () => { if (STOP_LIVE_UPDATES) setLiveStatus('reconnecting'); });
+
+    DATA_SOURCE = createDataSourceFromLocation(window.location);
+    if (!DATA_SOURCE) {
+        // No credentials and no export in the URL: wait for the user to open an export
+        setLiveStatus('nosource');
+        document.getElementById('no-source-banner').classList.remove('hidden');
+        return;
+    }
+    await startDashboard();
+}
+
+async function startDashboard() {
+    console.log(`Fetching data from ${DATA_SOURCE.label}...`);
+    document.getElementById('rebuild-cache').classList.toggle('hidden', !DATA_SOURCE.rebuild);
     
-    // 1. Fetch ALL data using 'db' instead of 'supabase'
-    const [eventsReq, matchesReq] = await Promise.all([
-        db.from('powerup_events').select('*'),
-        db.from('match_results').select('*')
-    ]);
-
-    if (eventsReq.error || matchesReq.error) {
-        console.error("Error fetching data:", eventsReq.error || matchesReq.error);
+    // 1. Load ALL data
+    try {
+        await loadData();
+    } catch (error) {
+        console.error("Error fetching data:", error);
         alert("Error loading data! Check the console.");
         return;
     }
-
-    const events = eventsReq.data;
-    const matches = matchesReq.data;
     
-    console.log("Data loaded:", { events, matches }); // Debug log to verify data
+    console.log("Data loaded:", { events: GLOBAL_EVENTS, matches: GLOBAL_MATCHES }); // Debug log to verify data
+
+    await loadAliases();
+    await loadPowerupCatalog();
+    await loadAdminUser();
+
+    // Open on the season and filters from the URL, or the season that is running now
+    SEASONS = await loadSeasons();
+    SELECTED_SEASON_INDEX = readSeasonFromUrl();
+    FILTERS = readFiltersFromUrl();
 
     // 2. Process & Display Data
-    renderLastDayStats(events, matches);
-    renderDuoTable(matches);
-    renderCharts(events, matches);
+    renderDashboard();
+
+    // 3. Keep the dashboard in sync as new games are recorded
+    subscribeToLiveUpdates();
+}
+
+async function loadData() {
+    const { events, matches } = await DATA_SOURCE.load();
+    GLOBAL_EVENTS = events;
+    GLOBAL_MATCHES = matches;
+}
+
+// Switch to a JSON export or the two CSV table exports picked from disk
+async function openExportFiles(fileList) {
+    const files = [...fileList];
+    if (files.length === 0) return;
+
+    if (STOP_LIVE_UPDATES) STOP_LIVE_UPDATES();
+    STOP_LIVE_UPDATES = null;
+    DATA_SOURCE = createFileSource(files);
+    SELECTED_PLAYDAY_INDEX = null;
+    document.getElementById('no-source-banner').classList.add('hidden');
+    await startDashboard();
+}
+
+async function renderDashboard() {
+    const render = ++DASHBOARD_RENDER;
+    const { matches } = applyScope();
+    const season = SEASONS[SELECTED_SEASON_INDEX] || null;
+    const dashboard = await runStatsTask('dashboard', { pointsPerWin: season ? season.pointsPerWin : SEASON_POINTS_PER_WIN });
+    // A newer render (filter change, live update) started while this one was aggregating
+    if (render !== DASHBOARD_RENDER) return;
+    DASHBOARD_STATS = dashboard;
+
+    renderUnknownPowerups();
+    renderAdminLink();
+    renderSeason(dashboard.standings);
+    renderLastDayStats(matches);
+    renderRatings(dashboard.ratings);
+    renderDuoTable(dashboard.modes);
+    renderRivalries(dashboard.modes);
+    renderMatchupExplorer();
+    renderTeamBalancer();
+    renderHallOfFame(dashboard.records);
+    renderTrends(dashboard.trends);
+    renderMatchList(dashboard.matchList);
+    renderPowerupImpact(dashboard.impact);
+    renderCharts(dashboard);
+    renderTeamCards(dashboard.teamStats);
+    renderPlayerCards(dashboard.powerups.playerStats, dashboard.records);
+
+    // An open profile is re-rendered too, so it follows live updates
+    handleRoute();
+}
+
+// --- BACKGROUND AGGREGATION ---
+// Every STATS_TASKS aggregation (dashboard, playday, matchup explorer, balancer) is computed in
+// stats-worker.js. Where workers are missing or fail (e.g. a page opened from file://) they are
+// computed on the main thread instead.
+let STATS_WORKER = null;
+let STATS_WORKER_FAILED = false;
+let STATS_REQUESTS = {}; // request id -> { resolve, reject }
+let STATS_REQUEST_ID = 0;
+
+function getStatsWorker() {
+    if (STATS_WORKER || STATS_WORKER_FAILED) return STATS_WORKER;
+    if (typeof Worker === 'undefined') {
+        STATS_WORKER_FAILED = true;
+        return null;
+    }
+
+    try {
+        STATS_WORKER = new Worker('stats-worker.js');
+    } catch (error) {
+        console.warn("Stats worker unavailable, aggregating on the main thread:", error);
+        STATS_WORKER_FAILED = true;
+        return null;
+    }
+    STATS_WORKER.onmessage = (event) => {
+        const { id, result, error } = event.data;
+        const request = STATS_REQUESTS[id];
+        delete STATS_REQUESTS[id];
+        if (!request) return;
+        if (error) request.reject(new Error(error));
+        else request.resolve(result);
+    };
+    STATS_WORKER.onerror = (event) => {
+        console.warn("Stats worker failed, aggregating on the main thread:", event.message);
+        STATS_WORKER.terminate();
+        STATS_WORKER = null;
+        STATS_WORKER_FAILED = true;
+        Object.values(STATS_REQUESTS).forEach(request => request.reject(new Error("Stats worker failed")));
+        STATS_REQUESTS = {};
+    };
+    postRowsToWorker();
+    return STATS_WORKER;
+}
+
+// The worker keeps its own copy of the aliased rows, sent again whenever they change
+function postRowsToWorker() {
+    if (STATS_WORKER) STATS_WORKER.postMessage({ type: 'rows', events: NAMED_EVENTS, matches: NAMED_MATCHES });
+}
+
+// Runs one of STATS_TASKS on the scoped rows: the worker scopes its copy the same way applyScope() did
+async function runStatsTask(task, params) {
+    const worker = getStatsWorker();
+    if (worker) {
+        try {
+            return await new Promise((resolve, reject) => {
+                const id = ++STATS_REQUEST_ID;
+                STATS_REQUESTS[id] = { resolve, reject };
+                worker.postMessage({ type: 'task', id, task, params, season: SEASONS[SELECTED_SEASON_INDEX] || null, filters: FILTERS });
+            });
+        } catch (error) {
+            console.warn("Stats worker error, aggregating on the main thread:", error);
+        }
+    }
+    return STATS_TASKS[task](
+        { events: SCOPED_EVENTS, matches: SCOPED_MATCHES },
+        { events: NAMED_EVENTS, matches: NAMED_MATCHES },
+        params
+    );
+}
+
+// --- ROUTING ---
+// #/player/<name> and #/team/<duo> open a profile, #/match/<game_id> a single game,
+// #/aliases the alias admin screen, #/admin the admin screen (#/admin/<game_id> with that game's rows),
+// anything else shows the dashboard
+function profileHref(kind, name) {
+    return `#/${kind}/${encodeURIComponent(name)}`;
+}
+
+function matchHref(gameId) {
+    return `#/match/${encodeURIComponent(gameId)}`;
+}
+
+function handleRoute() {
+    let [, view, ...rest] = window.location.hash.split('/');
+    let name = '';
+    try {
+        name = decodeURIComponent(rest.join('/'));
+    } catch (error) {
+        // A hand-edited link like #/player/%E0 isn't valid percent-encoding: show the dashboard
+        view = '';
+    }
+    const isProfile = (view === 'player' || view === 'team') && name !== '';
+    const isMatch = view === 'match' && name !== '';
+    const isAliases = view === 'aliases';
+    const isAdmin = view === 'admin' && Boolean(DATA_SOURCE);
+
+    document.getElementById('dashboard-view').classList.toggle('hidden', isProfile || isMatch || isAliases || isAdmin);
+    document.getElementById('profile-view').classList.toggle('hidden', !isProfile);
+    document.getElementById('match-view').classList.toggle('hidden', !isMatch);
+    document.getElementById('aliases-view').classList.toggle('hidden', !isAliases);
+    document.getElementById('admin-view').classList.toggle('hidden', !isAdmin);
+    // A single game is shown as recorded, aliases and admin edits cover all rows: filters don't apply there
+    document.getElementById('filter-bar').classList.toggle('hidden', isMatch || isAliases || isAdmin || !DATA_SOURCE);
+    if (isProfile) renderProfile(view, name);
+    if (isMatch) renderMatchDetail(name);
+    if (isAliases) renderAliasAdmin();
+    if (isAdmin) renderAdmin(name);
+}
+
+function handleRouteChange() {
+    handleRoute();
+    window.scrollTo(0, 0);
+}
+
+window.addEventListener('hashchange', handleRouteChange);
+
+// --- EVENT DELEGATION ---
+// Markup carries data-action (click) / data-change (change) plus data-* arguments instead of inline handlers
+const UI_ACTIONS = {
+    addFilterItem: el => addFilterItem(el.dataset.key, el.value),
+    addManualMatch: () => addManualMatch(),
+    adminSignIn: () => adminSignIn(),
+    adminSignOut: () => adminSignOut(),
+    cancelAliasDraft: () => cancelAliasDraft(),
+    clearBalancer: () => clearBalancer(),
+    clearFilters: () => clearFilters(),
+    copyPlaydayRecap: () => copyPlaydayRecap(),
+    copyProfileLink: () => copyProfileLink(),
+    deleteAdminRow: el => deleteAdminRow(el),
+    downloadAliases: () => downloadAliases(),
+    downloadPlaydayRecap: () => downloadPlaydayRecap(),
+    exportPanelPng: el => exportPanelPng(el),
+    exportTable: el => exportTable(el.dataset.table, el.dataset.format),
+    handleSort: el => handleSort(el.dataset.card, el.dataset.column),
+    openExportFiles: el => openExportFiles(el.files),
+    openRivalry: el => openRivalry(Number(el.dataset.index)),
+    previewAliasDraft: () => previewAliasDraft(),
+    rebuildCache: () => rebuildCache(),
+    removeAlias: el => removeAlias(Number(el.dataset.index)),
+    removeFilterItem: el => removeFilterItem(el.dataset.key, Number(el.dataset.index)),
+    saveAdminRow: el => saveAdminRow(el),
+    saveAliasDraft: () => saveAliasDraft(),
+    selectImpactPlayer: el => selectImpactPlayer(el.value),
+    selectMatchupSide: el => selectMatchupSide(el.dataset.side, el.value),
+    selectPlayday: el => selectPlayday(el.value),
+    selectSeason: el => selectSeason(el.dataset.season ?? el.value),
+    setFairnessMode: el => setFairnessMode(el.dataset.fairnessMode),
+    setFilterValue: el => setFilterValue(el.dataset.key, el.value),
+    setGameMode: el => setFilterValue('mode', el.dataset.gameMode),
+    setMatchListFlagged: el => setMatchListFlagged(el.checked),
+    setMatchupKind: el => setMatchupKind(el.dataset.matchupKind),
+    setRatingView: el => setRatingView(el.dataset.ratingView),
+    setTrendMetric: el => setTrendMetric(el.dataset.trendKind, el.dataset.trendMetric),
+    setTrendUnit: el => setTrendUnit(el.dataset.trendUnit),
+    showMoreMatches: () => showMoreMatches(),
+    stepPlayday: el => stepPlayday(Number(el.dataset.step)),
+    toggleBalancerPlayer: el => toggleBalancerPlayer(el.dataset.player)
+};
+
+document.addEventListener('click', (event) => {
+    const el = event.target.closest('[data-action]');
+    if (el && UI_ACTIONS[el.dataset.action]) UI_ACTIONS[el.dataset.action](el, event);
+});
+
+document.addEventListener('change', (event) => {
+    const el = event.target.closest('[data-change]');
+    if (el && UI_ACTIONS[el.dataset.change]) UI_ACTIONS[el.dataset.change](el, event);
+});
+
+// Image errors don't bubble, so listen in the capture phase: hide the icon or show a placeholder
+document.addEventListener('error', (event) => {
+    const img = event.target;
+    if (!(img instanceof HTMLImageElement) || !img.dataset.fallback) return;
+    if (img.dataset.fallback === 'placeholder') {
+        img.dataset.fallback = '';
+        img.src = 'https://placehold.co/40?text=?';
+    } else {
+        img.style.display = 'none';
+    }
+}, true);
+
+// --- LOCAL CACHE ---
+// Drops the local copy and downloads everything again, for when rows were edited or deleted upstream
+async function rebuildCache() {
+    const button = document.getElementById('rebuild-cache');
+    button.disabled = true;
+    button.innerText = "Rebuilding…";
+
+    try {
+        const { events, matches } = await DATA_SOURCE.rebuild();
+        GLOBAL_EVENTS = events;
+        GLOBAL_MATCHES = matches;
+        renderDashboard();
+    } catch (error) {
+        console.error("Error rebuilding cache:", error);
+        alert("Error rebuilding the cache! Check the console.");
+    } finally {
+        button.disabled = false;
+        button.innerText = "⟳ Rebuild cache";
+    }
+}
+
+// --- LIVE UPDATES ---
+// Inserts usually arrive in bursts (all events of a game, then its result),
+// so re-rendering waits until the burst has settled.
+const LIVE_RENDER_DELAY_MS = 1500;
+let LIVE_RENDER_TIMER = null;
+
+const LIVE_STATUS_STYLES = {
+    connecting: { text: "● Connecting…", color: "text-slate-400" },
+    connected: { text: "● Live", color: "text-green-400" },
+    reconnecting: { text: "● Reconnecting…", color: "text-amber-400" },
+    offline: { text: "● Offline", color: "text-red-400" },
+    static: { text: "● Snapshot", color: "text-sky-400" },
+    nosource: { text: "● No data", color: "text-slate-500" }
+};
+
+function subscribeToLiveUpdates() {
+    // Exports are snapshots, there is nothing to listen to
+    if (!DATA_SOURCE.subscribe) {
+        setLiveStatus('static');
+        return;
+    }
+
+    setLiveStatus(navigator.onLine ? 'connecting' : 'offline');
+    STOP_LIVE_UPDATES = DATA_SOURCE.subscribe({
+        onInsert: handleLiveInsert,
+        onUpdate: handleLiveUpdate,
+        onDelete: handleLiveDelete,
+        onStatus: setLiveStatus
+    });
+}
+
+function handleLiveInsert(table, row) {
+    const rows = table === 'powerup_events' ? GLOBAL_EVENTS : GLOBAL_MATCHES;
+    if (rows.some(r => r.id === row.id)) return;
+    rows.push(row);
+    scheduleLiveRender();
+}
+
+// Corrections made on the admin screen, by this or another browser
+function handleLiveUpdate(table, row) {
+    updateGlobalRows(table, rows => rows.some(r => r.id === row.id)
+        ? rows.map(r => r.id === row.id ? row : r)
+        : [...rows, row]);
+    scheduleLiveRender();
+}
+
+function handleLiveDelete(table, id) {
+    updateGlobalRows(table, rows => rows.filter(r => r.id !== id));
+    scheduleLiveRender();
+}
+
+function scheduleLiveRender() {
+    clearTimeout(LIVE_RENDER_TIMER);
+    LIVE_RENDER_TIMER = setTimeout(() => {
+        // Follow the newest playday unless an older one is being browsed
+        if (SELECTED_PLAYDAY_INDEX === GLOBAL_PLAYDAYS.length - 1) SELECTED_PLAYDAY_INDEX = null;
+        renderDashboard();
+        document.getElementById('status').title = `Last update: ${new Date().toLocaleTimeString('en-GB')}`;
+    }, LIVE_RENDER_DELAY_MS);
+}
+
+function setLiveStatus(state) {
+    const el = document.getElementById('status');
+    const style = LIVE_STATUS_STYLES[state];
+    Object.values(LIVE_STATUS_STYLES).forEach(s => el.classList.remove(s.color));
+    el.classList.add(style.color);
+    el.innerText = style.text;
+}
+
+// --- SEASONS ---
+async function loadSeasons() {
+    try {
+        return normalizeSeasons(JSON.parse(await fetchText('seasons.json')));
+    } catch (error) {
+        // Without seasons the dashboard simply covers all time
+        console.warn("No seasons loaded:", error);
+        return [];
+    }
+}
+
+function selectSeason(value) {
+    SELECTED_SEASON_INDEX = value === '' ? null : Number(value);
+    SELECTED_PLAYDAY_INDEX = null;
+    renderDashboard();
+}
+
+// Aliases rename players first, then the season picks the rows and the filter bar narrows them
+function applyScope() {
+    // Live inserts append in place, so the row counts are part of the key
+    const key = [GLOBAL_EVENTS, GLOBAL_MATCHES, ALIASES, POWERUP_CATALOG, GLOBAL_EVENTS.length, GLOBAL_MATCHES.length];
+    if (!NAMED_KEY || key.some((part, i) => part !== NAMED_KEY[i])) {
+        const renamed = applyAliases(applyPowerupCatalog(GLOBAL_EVENTS, POWERUP_CATALOG), GLOBAL_MATCHES, ALIASES);
+        NAMED_EVENTS = renamed.events;
+        NAMED_MATCHES = renamed.matches;
+        NAMED_KEY = key;
+        UNKNOWN_POWERUPS = findUnknownPowerups(NAMED_EVENTS, POWERUP_CATALOG);
+        postRowsToWorker();
+    }
+    const named = { events: NAMED_EVENTS, matches: NAMED_MATCHES };
+
+    const season = SEASONS[SELECTED_SEASON_INDEX];
+    const seasonRows = season ? filterBySeason(named.events, named.matches, season) : named;
+    const scoped = applyFilters(seasonRows.events, seasonRows.matches, FILTERS);
+    SCOPED_EVENTS = scoped.events;
+    SCOPED_MATCHES = scoped.matches;
+
+    writeScopeToUrl();
+    renderFilterBar(seasonRows, scoped);
+    return scoped;
+}
+
+function defaultSeasonIndex() {
+    const current = findCurrentSeason(SEASONS);
+    return current ? SEASONS.indexOf(current) : null;
+}
+
+// ?season=<name>, or ?season=all for all time while a season is running
+function readSeasonFromUrl() {
+    const name = new URLSearchParams(window.location.search).get('season');
+    if (name === 'all') return null;
+    const index = SEASONS.findIndex(s => s.name === name);
+    return index !== -1 ? index : defaultSeasonIndex();
+}
+
+function formatSeasonDates(season) {
+    const start = season.start.toLocaleDateString('en-GB');
+    if (season.end === null) return `since ${start}`;
+    const lastDay = new Date(season.end);
+    lastDay.setDate(lastDay.getDate() - 1);
+    return `${start} – ${lastDay.toLocaleDateString('en-GB')}`;
+}
+
+function renderSeason(standings) {
+    const select = document.getElementById('season-select');
+    const section = document.getElementById('season-section');
+    const season = SEASONS[SELECTED_SEASON_INDEX] || null;
+
+    select.classList.toggle('hidden', SEASONS.length === 0);
+    const current = findCurrentSeason(SEASONS);
+    const options = SEASONS.map((s, i) => html`<option value="${i}">${s.name}${s === current ? ' (current)' : ''}</option>`).reverse();
+    select.innerHTML = html`<option value="">All time</option>${options}`;
+    select.value = SELECTED_SEASON_INDEX === null ? '' : SELECTED_SEASON_INDEX;
+
+    document.getElementById('analytics-title').innerText = season ? `${season.name} Analytics` : 'Lifetime Analytics';
+    section.classList.toggle('hidden', SEASONS.length === 0);
+    if (SEASONS.length === 0) return;
+
+    // The table follows the filters, so it says so when they leave games out
+    const filtered = hasActiveFilters(FILTERS) ? ' · filtered' : '';
+    document.getElementById('season-title').innerText = season ? `${season.name} Standings` : 'All-time Standings';
+    document.getElementById('season-dates').innerText = season ? `(${formatSeasonDates(season)}${filtered})` : filtered ? '(filtered)' : '';
+
+    renderStandingsTable(standings);
+
+    const champion = season && isSeasonArchived(season) ? seasonChampion(season) : null;
+    document.getElementById('season-champion').innerHTML = champion ? html`
+        <div class="mb-6 bg-amber-500/10 border border-amber-500/40 rounded-xl p-4 flex items-center gap-4">
+            <span class="text-3xl">🏆</span>
+            <div>
+                <div class="text-xs uppercase tracking-widest text-amber-400">${season.name} champion</div>
+                <a href="${profileHref('player', champion.name)}" class="text-xl font-bold text-white hover:text-amber-300">${champion.name}</a>
+                <span class="text-sm font-mono text-slate-400 ml-2">${champion.points} pts · ${champion.wins}W / ${champion.losses}L</span>
+            </div>
+        </div>` : '';
+
+    renderSeasonArchive();
+}
+
+function renderStandingsTable(standings) {
+    const tbody = document.getElementById('standings-table-body');
+    if (standings.length === 0) {
+        tbody.innerHTML = html`<tr><td colspan="9" class="p-4 text-center text-slate-500">No games in this season yet</td></tr>`;
+        return;
+    }
+
+    tbody.innerHTML = standings.map((row, i) => {
+        const form = row.form.map(r => html`<span class="inline-block w-5 text-center rounded text-xs font-bold ${r === 'W' ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'}">${r}</span>`);
+        const gdColor = row.goalDiff > 0 ? 'text-green-400' : row.goalDiff < 0 ? 'text-red-400' : 'text-slate-400';
+        return html`
+        <tr class="border-b border-slate-700/50 hover:bg-slate-700/30 transition">
+            <td class="p-3 font-mono text-slate-500">${i + 1}</td>
+            <td class="p-3 font-semibold text-white"><a href="${profileHref('player', row.name)}" class="hover:text-indigo-400">${row.name}</a></td>
+            <td class="p-3 text-center text-slate-300">${row.games}</td>
+            <td class="p-3 text-center text-green-500">${row.wins}</td>
+            <td class="p-3 text-center text-red-500">${row.losses}</td>
+            <td class="p-3 text-center font-mono text-slate-400">${row.goalsFor}:${row.goalsAgainst}</td>
+            <td class="p-3 text-center font-mono ${gdColor}">${row.goalDiff > 0 ? '+' : ''}${row.goalDiff}</td>
+            <td class="p-3 text-center font-mono font-bold text-amber-400">${row.points}</td>
+            <td class="p-3 text-right whitespace-nowrap">${joinHtml(form, ' ')}</td>
+        </tr>`;
+    }).join('');
+}
+
+// A finished season is frozen, so the leader of all its games is the champion, whatever the filters show
+function seasonChampion(season) {
+    const { events, matches } = filterBySeason(NAMED_EVENTS, NAMED_MATCHES, season);
+    return calculateStandings(events, matches, season.pointsPerWin)[0] || null;
+}
+
+function renderSeasonArchive() {
+    const container = document.getElementById('season-archive');
+    const archived = SEASONS.map((season, index) => ({ season, index })).filter(s => isSeasonArchived(s.season)).reverse();
+    if (archived.length === 0) {
+        container.innerHTML = html`<p class="text-sm text-slate-500">No finished seasons yet</p>`;
+        return;
+    }
+
+    container.innerHTML = archived.map(({ season, index }) => {
+        const { matches } = filterBySeason(NAMED_EVENTS, NAMED_MATCHES, season);
+        const champion = seasonChampion(season);
+        const active = index === SELECTED_SEASON_INDEX;
+        return html`
+        <button data-action="selectSeason" data-season="${index}" class="w-full text-left rounded-lg p-3 transition ${active ? 'bg-indigo-500/20 border border-indigo-500/50' : 'bg-slate-900/50 hover:bg-slate-700/50 border border-transparent'}">
+            <div class="flex justify-between items-center">
+                <span class="font-bold text-slate-200">${season.name}</span>
+                <span class="text-xs text-slate-500">${matches.length} games</span>
+            </div>
+            <div class="text-sm text-slate-400">${champion ? `🏆 ${champion.name} · ${champion.points} pts` : 'No games played'}</div>
+        </button>`;
+    }).join('');
+}
+
+// --- PLAYER ALIASES ---
+// ALIAS_ROWS as stored, ALIASES the resolved raw name -> player map used everywhere
+let ALIAS_STORE = null;
+let ALIAS_ROWS = [];
+let ALIASES = {};
+// Pending change on the admin screen, previewed before it is saved
+let ALIAS_DRAFT = null;
+
+async function loadAliases() {
+    ALIAS_STORE = DATA_SOURCE.aliases || createLocalAliasStore();
+    try {
+        ALIAS_ROWS = await ALIAS_STORE.load();
+    } catch (error) {
+        // e.g. the player_aliases table hasn't been created yet
+        console.warn(`Could not load aliases from ${ALIAS_STORE.label}, using local ones:`, error);
+        ALIAS_STORE = createLocalAliasStore();
+        ALIAS_ROWS = await ALIAS_STORE.load();
+    }
+    ALIASES = normalizeAliases(ALIAS_ROWS);
+}
+
+function rawPlayerNames() {
+    const games = {};
+    GLOBAL_MATCHES.forEach(m => [...(m.team0_players || []), ...(m.team1_players || [])].forEach(p => {
+        games[p] = (games[p] || 0) + 1;
+    }));
+    GLOBAL_EVENTS.forEach(e => { if (!(e.player_name in games)) games[e.player_name] = 0; });
+    return Object.entries(games).map(([name, count]) => ({ name, games: count })).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function previewAliasDraft() {
+    if (!canEditAliases()) return;
+    const raw = rawPlayerNames()[Number(document.getElementById('alias-raw').value)];
+    const canonical = document.getElementById('alias-canonical').value.trim();
+    if (!raw || !canonical || canonical === raw.name) {
+        alert("Pick a recorded name and the player it belongs to.");
+        return;
+    }
+    ALIAS_DRAFT = { alias: raw.name, canonical };
+    renderAliasAdmin();
+}
+
+function cancelAliasDraft() {
+    ALIAS_DRAFT = null;
+    renderAliasAdmin();
+}
+
+// Aliases in Supabase are shared by everyone, so only a signed-in admin may change them;
+// local ones only live in this browser
+function canEditAliases() {
+    return ALIAS_STORE !== DATA_SOURCE.aliases || Boolean(ADMIN_USER);
+}
+
+async function saveAliasDraft() {
+    if (!ALIAS_DRAFT || !canEditAliases()) return;
+    await updateAliases(() => ALIAS_STORE.save(ALIAS_DRAFT.alias, ALIAS_DRAFT.canonical));
+}
+
+async function removeAlias(index) {
+    const row = ALIAS_ROWS[index];
+    if (!row || !canEditAliases() || !confirm(`Stop merging "${row.alias}" into ${row.canonical}?`)) return;
+    await updateAliases(() => ALIAS_STORE.remove(row.alias));
+}
+
+async function updateAliases(change) {
+    try {
+        await change();
+        ALIAS_ROWS = await ALIAS_STORE.load();
+    } catch (error) {
+        console.error("Error saving aliases:", error);
+        alert(`Could not save to ${ALIAS_STORE.label}! Check the console.`);
+        return;
+    }
+    ALIASES = normalizeAliases(ALIAS_ROWS);
+    ALIAS_DRAFT = null;
+    renderDashboard();
+}
+
+function downloadAliases() {
+    const rows = ALIAS_ROWS.map(r => ({ alias: r.alias, canonical: r.canonical }));
+    downloadBlob(new Blob([JSON.stringify(rows, null, 2)], { type: 'application/json' }), 'aliases.json');
+}
+
+function renderAliasAdmin() {
+    const container = document.getElementById('aliases-view');
+    if (!ALIAS_STORE) {
+        container.innerHTML = html`<p class="mt-8 text-center text-slate-500">Load some data first</p>`;
+        return;
+    }
+    const rawNames = rawPlayerNames();
+    const players = [...new Set(rawNames.map(r => ALIASES[r.name] || r.name))].sort();
+    const isLocal = !DATA_SOURCE.aliases || ALIAS_STORE !== DATA_SOURCE.aliases;
+    const canEdit = canEditAliases();
+
+    const rows = ALIAS_ROWS.map((r, index) => html`
+        <tr class="border-b border-slate-700/50 hover:bg-slate-700/30 transition">
+            <td class="p-3 text-slate-300">${r.alias}</td>
+            <td class="p-3 text-slate-500">→</td>
+            <td class="p-3 font-semibold text-white">${r.canonical}${ALIASES[r.alias] && ALIASES[r.alias] !== r.canonical ? html` <span class="text-xs text-slate-500">(→ ${ALIASES[r.alias]})</span>` : ''}${!ALIASES[r.alias] ? html` <span class="text-xs text-amber-400">(ignored, circular)</span>` : ''}</td>
+            <td class="p-3 text-right">${canEdit ? html`<button data-action="removeAlias" data-index="${index}" class="text-xs text-slate-400 hover:text-red-400 border border-slate-700 rounded px-2 py-1 transition">Remove</button>` : ''}</td>
+        </tr>`);
+
+    let preview = '';
+    if (ALIAS_DRAFT) {
+        const next = normalizeAliases([...ALIAS_ROWS.filter(r => r.alias !== ALIAS_DRAFT.alias), ALIAS_DRAFT]);
+        const { before, after } = previewAliases(GLOBAL_EVENTS, GLOBAL_MATCHES, ALIASES, next);
+        const table = (title, side) => html`
+            <div class="bg-slate-900/50 rounded-lg p-4">
+                <h4 class="text-xs uppercase tracking-widest text-slate-400 mb-3">${title} <span class="normal-case tracking-normal text-slate-600">· ${side.duos} duos overall</span></h4>
+                <table class="w-full text-sm">
+                    <thead><tr class="text-xs text-slate-500 uppercase"><th class="pb-2 text-left font-normal">Player</th><th class="pb-2 text-center font-normal">Games</th><th class="pb-2 text-center font-normal">Wins</th><th class="pb-2 text-center font-normal">Goals</th><th class="pb-2 text-center font-normal">Activations</th></tr></thead>
+                    <tbody>${side.players.length === 0 ? html`<tr><td colspan="5" class="py-2 text-center text-slate-500">No games</td></tr>` : side.players.map(p => html`
+                        <tr class="border-t border-slate-700/50">
+                            <td class="py-2 text-white">${p.name}</td>
+                            <td class="py-2 text-center text-slate-300">${p.games}</td>
+                            <td class="py-2 text-center text-green-500">${p.wins}</td>
+                            <td class="py-2 text-center font-mono text-rorange">${p.goals}</td>
+                            <td class="py-2 text-center font-mono text-rblue">${p.activations}</td>
+                        </tr>`)}</tbody>
+                </table>
+            </div>`;
+        preview = html`
+        <div class="mt-6 border-t border-slate-700 pt-6">
+            <h3 class="font-bold mb-4">Preview: <span class="text-slate-300">${ALIAS_DRAFT.alias}</span> → <span class="text-indigo-400">${ALIAS_DRAFT.canonical}</span></h3>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-6 mb-4">
+                ${table('Before', before)}
+                ${table('After', after)}
+            </div>
+            <div class="flex gap-2">
+                <button data-action="saveAliasDraft" class="text-sm bg-indigo-500 hover:bg-indigo-400 text-white rounded px-3 py-2 transition">Save alias</button>
+                <button data-action="cancelAliasDraft" class="text-sm text-slate-300 border border-slate-700 rounded px-3 py-2 hover:bg-slate-700 transition">Cancel</button>
+            </div>
+        </div>`;
+    }
+
+    container.innerHTML = html`
+    <div class="mb-8">
+        <a href="#/" class="text-sm text-slate-400 hover:text-white">← Back to dashboard</a>
+        <h2 class="text-3xl font-bold mt-2 text-white">👤 Player Aliases</h2>
+        <p class="text-sm text-slate-400 mt-1">Merge renamed accounts and typos into one player. Aliases apply to every table, chart and profile.</p>
+    </div>
+
+    ${canEdit ? '' : html`
+    <div class="bg-slate-800 p-6 rounded-xl border border-slate-700 mb-8 text-sm text-slate-400">
+        Aliases apply for everyone. <a href="#/admin" class="text-indigo-400 hover:text-indigo-300">Sign in as an admin</a> to change them.
+    </div>`}
+
+    <div class="bg-slate-800 p-6 rounded-xl border border-slate-700 mb-8 ${canEdit ? '' : 'hidden'}">
+        <h3 class="text-xl font-bold mb-4">Add or change an alias</h3>
+        <div class="flex flex-wrap items-center gap-3 text-sm">
+            <select id="alias-raw" class="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-200">
+                ${rawNames.map((r, i) => html`<option value="${i}">${r.name} (${r.games} games)</option>`)}
+            </select>
+            <span class="text-slate-500">is</span>
+            <input id="alias-canonical" list="alias-players" placeholder="Player name" class="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-200">
+            <datalist id="alias-players">${players.map(p => html`<option value="${p}">`)}</datalist>
+            <button data-action="previewAliasDraft" class="text-sm text-slate-300 border border-slate-700 rounded px-3 py-1 hover:bg-slate-700 transition">Preview</button>
+        </div>
+        ${preview}
+    </div>
+
+    <div class="bg-slate-800 p-6 rounded-xl border border-slate-700">
+        <div class="flex flex-wrap justify-between items-center gap-4 mb-4">
+            <h3 class="text-xl font-bold">Current aliases</h3>
+            <div class="flex items-center gap-3 text-xs text-slate-500">
+                Stored in ${ALIAS_STORE.label}
+                ${isLocal ? html`<button data-action="downloadAliases" class="text-slate-400 hover:text-white border border-slate-700 rounded px-2 py-1 transition" title="Replace aliases.json with this file to share the aliases">⬇ aliases.json</button>` : ''}
+            </div>
+        </div>
+        <table class="w-full text-left border-collapse">
+            <tbody class="text-sm font-medium">${rows.length > 0 ? rows : html`<tr><td class="p-4 text-center text-slate-500">No aliases yet</td></tr>`}</tbody>
+        </table>
+    </div>`;
+
+    if (ALIAS_DRAFT) {
+        document.getElementById('alias-raw').value = rawNames.findIndex(r => r.name === ALIAS_DRAFT.alias);
+        document.getElementById('alias-canonical').value = ALIAS_DRAFT.canonical;
+    }
+}
+
+// --- ADMIN ---
+// Signed-in admins fix rows on #/admin, everyone else only sees the data-quality warnings there.
+// Row level security in Supabase is what keeps anonymous visitors read-only (see ADMIN ACCESS in datasource.js).
+let ADMIN_USER = null;
+
+const DATA_QUALITY_LABELS = {
+    'events-without-match': 'Events without a result',
+    'match-without-events': 'Result without events',
+    'duplicate-game-id': 'Duplicated game_id',
+    'invalid-winner': 'Invalid winner',
+    'empty-roster': 'Empty team',
+    'player-on-both-teams': 'Player on both teams',
+    'invalid-team-num': 'team_num outside 0/1',
+    'player-not-in-roster': 'Player missing from roster'
+};
+
+async function loadAdminUser() {
+    ADMIN_USER = null;
+    if (!DATA_SOURCE.auth) return;
+    try {
+        ADMIN_USER = await DATA_SOURCE.auth.user();
+    } catch (error) {
+        console.warn("Could not restore the admin session:", error);
+    }
+}
+
+async function adminSignIn() {
+    const email = document.getElementById('admin-email').value.trim();
+    const password = document.getElementById('admin-password').value;
+    try {
+        ADMIN_USER = await DATA_SOURCE.auth.signIn(email, password);
+    } catch (error) {
+        console.error("Error signing in:", error);
+        alert(`Could not sign in: ${error.message}`);
+        return;
+    }
+    renderDashboard();
+}
+
+async function adminSignOut() {
+    try {
+        await DATA_SOURCE.auth.signOut();
+    } catch (error) {
+        console.error("Error signing out:", error);
+    }
+    ADMIN_USER = null;
+    renderDashboard();
+}
+
+// Raw rows are edited, so every change goes straight into GLOBAL_* and the dashboard re-aggregates
+function updateGlobalRows(table, update) {
+    if (table === 'powerup_events') GLOBAL_EVENTS = update(GLOBAL_EVENTS);
+    else GLOBAL_MATCHES = update(GLOBAL_MATCHES);
+}
+
+// Live inserts of our own rows may arrive before the insert call returns
+function mergeRows(rows, added) {
+    const ids = new Set(rows.map(r => r.id));
+    return [...rows, ...added.filter(r => !ids.has(r.id))];
+}
+
+async function changeRows(change) {
+    try {
+        await change();
+    } catch (error) {
+        console.error("Error changing rows:", error);
+        alert(`Could not save to ${DATA_SOURCE.label}: ${error.message}`);
+        return false;
+    }
+    renderDashboard();
+    return true;
+}
+
+// Inputs carry data-field, their row (a <tr>) the table and id
+const ADMIN_FIELD_PARSERS = {
+    team0_players: value => value.split(',').map(p => p.trim()).filter(Boolean),
+    team1_players: value => value.split(',').map(p => p.trim()).filter(Boolean),
+    winning_team: value => value === '' ? null : Number(value),
+    team_num: value => value === '' ? null : Number(value)
+};
+
+function adminRowOf(el) {
+    const tr = el.closest('tr');
+    const rows = tr.dataset.table === 'powerup_events' ? GLOBAL_EVENTS : GLOBAL_MATCHES;
+    return { tr, table: tr.dataset.table, row: rows.find(r => String(r.id) === tr.dataset.id) };
+}
+
+async function saveAdminRow(el) {
+    const { tr, table, row } = adminRowOf(el);
+    const changes = {};
+    tr.querySelectorAll('[data-field]').forEach(input => {
+        const parse = ADMIN_FIELD_PARSERS[input.dataset.field] || (value => value.trim());
+        changes[input.dataset.field] = parse(input.value);
+    });
+    const problems = validateRowChanges(changes);
+    if (problems.length > 0) {
+        alert(problems.join('\n'));
+        return;
+    }
+    await changeRows(async () => {
+        const saved = await DATA_SOURCE.edit.update(table, row.id, changes);
+        updateGlobalRows(table, rows => rows.map(r => r.id === row.id ? saved : r));
+    });
+}
+
+async function deleteAdminRow(el) {
+    const { table, row } = adminRowOf(el);
+    if (!confirm(`Delete row ${row.id} of ${table}? This cannot be undone.`)) return;
+    await changeRows(async () => {
+        await DATA_SOURCE.edit.remove(table, [row.id]);
+        updateGlobalRows(table, rows => rows.filter(r => r.id !== row.id));
+    });
+}
+
+// Players and scorers are comma separated, a scorer once per goal
+function readManualMatch() {
+    const list = (id) => document.getElementById(id).value.split(',').map(p => p.trim()).filter(Boolean);
+    const time = document.getElementById('admin-new-time').value;
+    const winner = document.getElementById('admin-new-winner').value;
+    return {
+        game_id: document.getElementById('admin-new-game').value.trim(),
+        created_at: time ? new Date(time).toISOString() : '',
+        team0_players: list('admin-new-team0'),
+        team1_players: list('admin-new-team1'),
+        winning_team: winner === '' ? null : Number(winner),
+        goals: [0, 1].flatMap(team => list(`admin-new-goals${team}`).map(player_name => ({ player_name, team_num: team })))
+    };
+}
+
+async function addManualMatch() {
+    const entry = readManualMatch();
+    const problems = validateMatchEntry(entry, GLOBAL_MATCHES);
+    if (problems.length > 0) {
+        alert(problems.join('\n'));
+        return;
+    }
+
+    // The result goes in first: if the goals fail, the game shows up as a result without events
+    const { match, events } = buildMatchRows(entry);
+    const saved = await changeRows(async () => {
+        const insertedMatches = await DATA_SOURCE.edit.insert('match_results', [match]);
+        updateGlobalRows('match_results', rows => mergeRows(rows, insertedMatches));
+        if (events.length === 0) return;
+        const insertedEvents = await DATA_SOURCE.edit.insert('powerup_events', events);
+        updateGlobalRows('powerup_events', rows => mergeRows(rows, insertedEvents));
+    });
+    if (saved) window.location.hash = `#/admin/${encodeURIComponent(entry.game_id)}`;
+}
+
+function renderAdminLink() {
+    const link = document.getElementById('admin-link');
+    const issues = ADMIN_USER ? findDataQualityIssues(GLOBAL_EVENTS, GLOBAL_MATCHES).length : 0;
+    link.innerHTML = html`🛠 Admin${issues > 0 ? html` <span class="text-amber-400">⚠ ${issues}</span>` : ''}`;
+}
+
+function renderAdmin(gameId) {
+    const container = document.getElementById('admin-view');
+    const issues = findDataQualityIssues(GLOBAL_EVENTS, GLOBAL_MATCHES);
+    const canEdit = Boolean(ADMIN_USER && DATA_SOURCE.edit);
+    const input = 'bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-200 disabled:opacity-60';
+    const button = 'text-xs text-slate-300 border border-slate-700 rounded px-2 py-1 hover:bg-slate-700 transition';
+    const adminHref = (id) => `#/admin/${encodeURIComponent(id)}`;
+
+    let access;
+    if (!DATA_SOURCE.auth) {
+        access = html`<p class="text-sm text-slate-400">${DATA_SOURCE.label} is read-only. Editing rows needs the Supabase source, the warnings below still apply.</p>`;
+    } else if (!ADMIN_USER) {
+        access = html`
+        <div class="flex flex-wrap items-center gap-3 text-sm">
+            <input id="admin-email" type="email" placeholder="Email" autocomplete="username" class="${input}">
+            <input id="admin-password" type="password" placeholder="Password" autocomplete="current-password" class="${input}">
+            <button data-action="adminSignIn" class="text-sm bg-indigo-500 hover:bg-indigo-400 text-white rounded px-3 py-1 transition">Sign in</button>
+            <span class="text-slate-500">Admin accounts are created in Supabase</span>
+        </div>`;
+    } else {
+        access = html`
+        <div class="flex flex-wrap items-center gap-3 text-sm">
+            <span class="text-slate-400">Signed in as <span class="text-white">${ADMIN_USER.email}</span></span>
+            <button data-action="adminSignOut" class="${button}">Sign out</button>
+        </div>`;
+    }
+
+    let editor = '';
+    if (gameId) {
+        const flagged = new Set(issues.filter(i => String(i.game_id) === gameId).flatMap(i => i.ids.map(id => `${i.table}|${id}`)));
+        const rowClass = (table, id) => flagged.has(`${table}|${id}`) ? 'bg-amber-500/10' : '';
+        const actions = canEdit
+            ? html`<td class="p-2 whitespace-nowrap text-right"><button data-action="saveAdminRow" class="${button}">Save</button> <button data-action="deleteAdminRow" class="${button} hover:border-red-500/50">Delete</button></td>`
+            : html`<td></td>`;
+        const time = (r) => new Date(r.created_at).toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'medium' });
+
+        const matchRows = GLOBAL_MATCHES.filter(m => String(m.game_id) === gameId).map(m => html`
+            <tr data-table="match_results" data-id="${m.id}" class="border-b border-slate-700/50 ${rowClass('match_results', m.id)}">
+                <td class="p-2 font-mono text-slate-500">${m.id}</td>
+                <td class="p-2 text-slate-400">${time(m)}</td>
+                <td class="p-2"><input data-field="game_id" value="${m.game_id}" class="${input} w-28" ${canEdit ? '' : 'disabled'}></td>
+                <td class="p-2"><input data-field="team0_players" value="${(m.team0_players || []).join(', ')}" class="${input} w-full" ${canEdit ? '' : 'disabled'}></td>
+                <td class="p-2"><input data-field="team1_players" value="${(m.team1_players || []).join(', ')}" class="${input} w-full" ${canEdit ? '' : 'disabled'}></td>
+                <td class="p-2"><input data-field="winning_team" type="number" min="0" max="1" value="${m.winning_team ?? ''}" class="${input} w-16" ${canEdit ? '' : 'disabled'}></td>
+                ${actions}
+            </tr>`);
+        const eventRows = GLOBAL_EVENTS
+            .filter(e => String(e.game_id) === gameId)
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id)
+            .map(e => html`
+            <tr data-table="powerup_events" data-id="${e.id}" class="border-b border-slate-700/50 ${rowClass('powerup_events', e.id)}">
+                <td class="p-2 font-mono text-slate-500">${e.id}</td>
+                <td class="p-2 text-slate-400">${time(e)}</td>
+                <td class="p-2"><input data-field="player_name" value="${e.player_name}" class="${input} w-full" ${canEdit ? '' : 'disabled'}></td>
+                <td class="p-2"><input data-field="team_num" type="number" min="0" max="1" value="${e.team_num ?? ''}" class="${input} w-16" ${canEdit ? '' : 'disabled'}></td>
+                <td class="p-2"><input data-field="powerup_name" value="${e.powerup_name}" class="${input} w-full" ${canEdit ? '' : 'disabled'}></td>
+                <td class="p-2"><input data-field="event_type" value="${e.event_type}" class="${input} w-28" ${canEdit ? '' : 'disabled'}></td>
+                ${actions}
+            </tr>`);
+
+        editor = html`
+        <div class="bg-slate-800 p-6 rounded-xl border border-indigo-500/30 mb-8">
+            <div class="flex flex-wrap justify-between items-center gap-4 mb-4">
+                <h3 class="text-xl font-bold">Rows of game ${gameId}</h3>
+                <a href="${matchHref(gameId)}" class="text-sm text-slate-400 hover:text-white">Open match →</a>
+            </div>
+            <h4 class="text-xs uppercase tracking-widest text-slate-500 mb-2">match_results</h4>
+            <div class="overflow-x-auto mb-6">
+                <table class="w-full text-left border-collapse text-sm">
+                    <thead><tr class="text-slate-400 border-b border-slate-700"><th class="p-2">id</th><th class="p-2">created_at</th><th class="p-2">game_id</th><th class="p-2">team0_players</th><th class="p-2">team1_players</th><th class="p-2">winning_team</th><th></th></tr></thead>
+                    <tbody>${matchRows.length > 0 ? matchRows : html`<tr><td colspan="7" class="p-4 text-center text-slate-500">No result for this game</td></tr>`}</tbody>
+                </table>
+            </div>
+            <h4 class="text-xs uppercase tracking-widest text-slate-500 mb-2">powerup_events</h4>
+            <div class="overflow-x-auto">
+                <table class="w-full text-left border-collapse text-sm">
+                    <thead><tr class="text-slate-400 border-b border-slate-700"><th class="p-2">id</th><th class="p-2">created_at</th><th class="p-2">player_name</th><th class="p-2">team_num</th><th class="p-2">powerup_name</th><th class="p-2">event_type</th><th></th></tr></thead>
+                    <tbody>${eventRows.length > 0 ? eventRows : html`<tr><td colspan="7" class="p-4 text-center text-slate-500">No events for this game</td></tr>`}</tbody>
+                </table>
+            </div>
+        </div>`;
+    }
+
+    const issueRows = issues.map(i => html`
+        <tr class="border-b border-slate-700/50 hover:bg-slate-700/30 transition">
+            <td class="p-3 text-amber-400">${DATA_QUALITY_LABELS[i.type]}</td>
+            <td class="p-3 font-mono"><a href="${adminHref(i.game_id)}" class="text-white hover:text-indigo-400">${i.game_id}</a></td>
+            <td class="p-3 text-slate-300">${i.detail}</td>
+            <td class="p-3 text-right font-mono text-xs text-slate-500">${i.table} ${i.ids.join(', ')}</td>
+        </tr>`);
+
+    const players = rawPlayerNames().map(p => p.name);
+    const manualEntry = !canEdit ? '' : html`
+    <div class="bg-slate-800 p-6 rounded-xl border border-slate-700">
+        <h3 class="text-xl font-bold mb-1">Enter a match</h3>
+        <p class="text-sm text-slate-400 mb-4">For games the tracker missed. Players are comma separated; list a scorer once per goal (goals are saved without a powerup).</p>
+        <datalist id="admin-players">${players.map(p => html`<option value="${p}">`)}</datalist>
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+            <label class="flex flex-col gap-1 text-slate-400">game_id <input id="admin-new-game" value="manual-${Date.now()}" class="${input}"></label>
+            <label class="flex flex-col gap-1 text-slate-400">Played at <input id="admin-new-time" type="datetime-local" class="${input}"></label>
+            <label class="flex flex-col gap-1 text-rblue">Blue players (team 0) <input id="admin-new-team0" list="admin-players" class="${input}"></label>
+            <label class="flex flex-col gap-1 text-rorange">Orange players (team 1) <input id="admin-new-team1" list="admin-players" class="${input}"></label>
+            <label class="flex flex-col gap-1 text-rblue">Blue goals <input id="admin-new-goals0" placeholder="Ana, Ana, Bojan" class="${input}"></label>
+            <label class="flex flex-col gap-1 text-rorange">Orange goals <input id="admin-new-goals1" class="${input}"></label>
+            <label class="flex flex-col gap-1 text-slate-400">Winner
+                <select id="admin-new-winner" class="${input}">
+                    <option value="">Pick the winner</option>
+                    <option value="0">Blue (team 0)</option>
+                    <option value="1">Orange (team 1)</option>
+                </select>
+            </label>
+        </div>
+        <button data-action="addManualMatch" class="mt-4 text-sm bg-indigo-500 hover:bg-indigo-400 text-white rounded px-3 py-2 transition">Save match</button>
+    </div>`;
+
+    container.innerHTML = html`
+    <div class="mb-8">
+        <a href="#/" class="text-sm text-slate-400 hover:text-white">← Back to dashboard</a>
+        <h2 class="text-3xl font-bold mt-2 text-white">🛠 Admin</h2>
+        <p class="text-sm text-slate-400 mt-1">Fix what the tracker recorded wrong. Edits apply to the raw rows, before aliases, and are saved right away.</p>
+    </div>
+
+    <div class="bg-slate-800 p-6 rounded-xl border border-slate-700 mb-8">${access}</div>
+
+    ${editor}
+
+    <div class="bg-slate-800 p-6 rounded-xl border border-slate-700 mb-8">
+        <div class="flex flex-wrap justify-between items-center gap-4 mb-4">
+            <h3 class="text-xl font-bold">⚠ Data quality</h3>
+            <span class="text-xs text-slate-500">${issues.length} warning${issues.length === 1 ? '' : 's'}</span>
+        </div>
+        <div class="overflow-x-auto">
+            <table class="w-full text-left border-collapse">
+                <tbody class="text-sm font-medium">${issueRows.length > 0 ? issueRows : html`<tr><td class="p-4 text-center text-slate-500">Nothing to fix</td></tr>`}</tbody>
+            </table>
+        </div>
+    </div>
+
+    ${manualEntry}`;
+
+    const time = document.getElementById('admin-new-time');
+    if (time) {
+        const now = new Date();
+        now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+        time.value = now.toISOString().slice(0, 16);
+    }
+}
+
+// --- FILTER BAR ---
+// Kept in the query string (the hash belongs to the router), so a filtered view can be shared:
+// ?from=2026-09-01&to=2026-09-30&mode=2v2&player=Ana&player=Bojan&team=Ana%20%26%20Bojan&powerup=Kaktus
+let FILTERS = { from: '', to: '', mode: '', players: [], teams: [], powerups: [] };
+const FILTER_PARAMS = { players: 'player', teams: 'team', powerups: 'powerup' };
+const FILTER_LABELS = { players: '+ Player', teams: '+ Team', powerups: '+ Powerup' };
+
+function readFiltersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const filters = { from: params.get('from') || '', to: params.get('to') || '', mode: params.get('mode') || '' };
+    Object.entries(FILTER_PARAMS).forEach(([key, param]) => { filters[key] = params.getAll(param); });
+    return filters;
+}
+
+function writeScopeToUrl() {
+    const params = new URLSearchParams(window.location.search);
+    ['season', 'from', 'to', 'mode', ...Object.values(FILTER_PARAMS)].forEach(p => params.delete(p));
+
+    if (SELECTED_SEASON_INDEX !== defaultSeasonIndex()) {
+        params.set('season', SELECTED_SEASON_INDEX === null ? 'all' : SEASONS[SELECTED_SEASON_INDEX].name);
+    }
+    ['from', 'to', 'mode'].forEach(key => { if (FILTERS[key]) params.set(key, FILTERS[key]); });
+    Object.entries(FILTER_PARAMS).forEach(([key, param]) => FILTERS[key].forEach(v => params.append(param, v)));
+
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}
+
+function setFilterValue(key, value) {
+    FILTERS[key] = value;
+    SELECTED_PLAYDAY_INDEX = null;
+    renderDashboard();
+}
+
+function addFilterItem(key, value) {
+    if (!value || FILTERS[key].includes(value)) return;
+    FILTERS[key] = [...FILTERS[key], value];
+    SELECTED_PLAYDAY_INDEX = null;
+    renderDashboard();
+}
+
+function removeFilterItem(key, index) {
+    FILTERS[key] = FILTERS[key].filter((_, i) => i !== index);
+    SELECTED_PLAYDAY_INDEX = null;
+    renderDashboard();
+}
+
+function clearFilters() {
+    FILTERS = { from: '', to: '', mode: '', players: [], teams: [], powerups: [] };
+    SELECTED_PLAYDAY_INDEX = null;
+    renderDashboard();
+}
+
+// Options come from the season's rows, so a filter can always be widened again
+function renderFilterBar(seasonRows, scoped) {
+    const { events, matches } = seasonRows;
+
+    const options = {
+        players: [...new Set(matches.flatMap(m => [...(m.team0_players || []), ...(m.team1_players || [])]))].sort(),
+        teams: calculateDuoStats(matches).map(d => d.name),
+        powerups: [...new Set(events.filter(e => e.powerup_name !== 'None').map(e => e.powerup_name))].sort()
+    };
+    // Powerups are filtered by catalog name but shown by their display name
+    const optionLabel = (key, value) => key === 'powerups' ? powerupInfo(value).label : value;
+    Object.entries(options).forEach(([key, values]) => {
+        const select = document.getElementById(`filter-add-${key}`);
+        const choices = values.filter(v => !FILTERS[key].includes(v)).map(v => html`<option value="${v}">${optionLabel(key, v)}</option>`);
+        select.innerHTML = html`<option value="">${FILTER_LABELS[key]}</option>${choices}`;
+        select.value = '';
+    });
+
+    // Mode switch: hidden while every game is the same mode
+    const modes = countGameModes(matches).map(m => m.mode);
+    if (FILTERS.mode && !modes.includes(FILTERS.mode)) modes.push(FILTERS.mode);
+    const modeSwitch = document.getElementById('mode-switch');
+    modeSwitch.classList.toggle('hidden', modes.length < 2 && !FILTERS.mode);
+    modeSwitch.innerHTML = html`${['', ...modes].map(mode => {
+        const active = FILTERS.mode === mode;
+        return html`<button data-action="setGameMode" data-game-mode="${mode}" class="px-3 py-1 rounded transition ${active ? 'bg-indigo-500 text-white' : 'text-slate-400'}">${mode || 'All modes'}</button>`;
+    })}`;
+    document.getElementById('filter-from').value = FILTERS.from;
+    document.getElementById('filter-to').value = FILTERS.to;
+
+    const chipColors = { players: 'text-white', teams: 'text-indigo-300', powerups: 'text-amber-300' };
+    document.getElementById('filter-chips').innerHTML = Object.keys(FILTER_PARAMS).flatMap(key =>
+        FILTERS[key].map((value, index) => html`
+            <button data-action="removeFilterItem" data-key="${key}" data-index="${index}" class="text-xs bg-slate-900 border border-slate-700 rounded-full px-3 py-1 hover:border-red-500/50 transition" title="Remove filter">
+                <span class="${chipColors[key]}">${optionLabel(key, value)}</span> <span class="text-slate-500">✕</span>
+            </button>`)
+    ).join('');
+
+    const active = hasActiveFilters(FILTERS);
+    document.getElementById('filter-clear').classList.toggle('hidden', !active);
+    document.getElementById('filter-summary').innerText = active
+        ? `Showing ${scoped.matches.length} of ${matches.length} games`
+        : `${matches.length} games`;
 }
 
 // --- LOGIC: LAST DAY STATS ---
-function renderLastDayStats(events, matches) {
+// Bumped by every playday render, so a slower earlier one doesn't overwrite a newer pick
+let PLAYDAY_RENDER = 0;
+
+function renderLastDayStats(matches) {
     const section = document.getElementById('last-playday-section');
     if (matches.length === 0) {
+        PLAYDAY_RENDER++;
         section.style.display = 'none';
         return;
     }
+    section.style.display = '';
 
-    // 1. Find and filter by the most recent day
-    const lastMatchDateStr = matches.reduce((max, m) => m.created_at > max ? m.created_at : max, matches[0].created_at);
-    const lastDay = new Date(lastMatchDateStr).toISOString().split('T')[0];
-    
-    const displayDate = new Date(lastDay).toLocaleDateString('en-GB');
-    document.getElementById('last-playday-date').innerText = `(${displayDate})`;
+    // 1. Split the match history into playdays, newest last
+    GLOBAL_PLAYDAYS = groupMatchesIntoPlaydays(matches);
+    if (SELECTED_PLAYDAY_INDEX === null || SELECTED_PLAYDAY_INDEX >= GLOBAL_PLAYDAYS.length) {
+        SELECTED_PLAYDAY_INDEX = GLOBAL_PLAYDAYS.length - 1;
+    }
+
+    renderPlaydayPicker();
+    renderPlaydayStats(GLOBAL_PLAYDAYS[SELECTED_PLAYDAY_INDEX]);
+}
 
-    const lastDayMatches = matches.filter(m => new Date(m.created_at).toISOString().startsWith(lastDay));
-    const lastDayMatchIds = new Set(lastDayMatches.map(m => m.game_id));
-    const lastDayEvents = events.filter(e => lastDayMatchIds.has(e.game_id));
+async function renderPlaydayStats(playday) {
+    const render = ++PLAYDAY_RENDER;
+    const isLatest = playday.index === GLOBAL_PLAYDAYS.length - 1;
+    document.getElementById('last-playday-title').innerText = isLatest ? 'Last Playday Stats' : 'Playday Stats';
+    document.getElementById('last-playday-date').innerText = `(${playday.label})`;
+
+    // 2. Calculate stats for the selected playday
+    const day = await runStatsTask('playday', { gameIds: [...playday.gameIds] });
+    if (render !== PLAYDAY_RENDER) return;
+
+    // 3. Render all components for the playday section
+    renderTopScorers('last-day-scorers-table-body', day.modes);
+    renderPowerupLeaderboard('last-day-powerup-leaderboard', day.powerups.totalUsage);
+    renderFairnessChart('last-day-chart-fairness', day.powerups.playerStats);
+    renderTeamFairnessChart('last-day-chart-team-fairness', day.teamStats);
+    renderFairnessTest('last-day-fairness-test', day.fairness.players);
+    renderFairnessTest('last-day-team-fairness-test', day.fairness.teams);
+    // The night's headlines come from the filtered games, the head-to-head from all of them
+    renderPlaydayRecap(playday, day.recap);
+}
 
-    // 2. Calculate stats for the last day
-    const { totalUsage, playerStats } = calculatePowerupStats(lastDayEvents);
-    const teamStats = calculateTeamStatsByEvent(lastDayEvents, lastDayMatches);
+function renderPlaydayPicker() {
+    const select = document.getElementById('playday-select');
+    select.innerHTML = GLOBAL_PLAYDAYS.map(p => {
+        const games = p.matches.length;
+        return html`<option value="${p.index}">${p.label} · ${games} game${games === 1 ? '' : 's'}</option>`;
+    }).reverse().join('');
+    select.value = SELECTED_PLAYDAY_INDEX;
 
-    // 3. Render all components for the last day section
-    renderTopScorers('last-day-scorers-table-body', lastDayEvents);
-    renderPowerupLeaderboard('last-day-powerup-leaderboard', totalUsage);
-    renderFairnessChart('last-day-chart-fairness', playerStats);
-    renderTeamFairnessChart('last-day-chart-team-fairness', teamStats);
+    document.getElementById('playday-prev').disabled = SELECTED_PLAYDAY_INDEX <= 0;
+    document.getElementById('playday-next').disabled = SELECTED_PLAYDAY_INDEX >= GLOBAL_PLAYDAYS.length - 1;
 }
 
-// --- DATA CALCULATION LOGIC ---
-function calculatePowerupStats(events) {
-    const totalUsage = {};
-    const playerStats = {};
-    const allPlayers = [...new Set(events.map(e => e.player_name))];
-    
-    // Initialize for all players to ensure they appear in charts
-    allPlayers.forEach(pName => {
-        playerStats[pName] = {};
+function selectPlayday(index) {
+    const target = Number(index);
+    if (!GLOBAL_PLAYDAYS[target]) return;
+
+    SELECTED_PLAYDAY_INDEX = target;
+    renderPlaydayPicker();
+    renderPlaydayStats(GLOBAL_PLAYDAYS[target]);
+}
+
+// Step backwards (-1) or forwards (+1) through the playdays
+function stepPlayday(offset) {
+    selectPlayday(SELECTED_PLAYDAY_INDEX + offset);
+}
+
+// --- LOGIC: PLAYDAY RECAP ---
+// The selected playday as headlines: shown as a card, copied as text or downloaded as an image for the group chat
+let PLAYDAY_RECAP = null; // { label, summary, headlines: [{ icon, title, text }] }
+
+function recapHeadlines(recap) {
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const headlines = [];
+    if (recap.mvp) {
+        headlines.push({ icon: '⭐', title: 'MVP', text: `${recap.mvp.players.join(' & ')} with ${plural(recap.mvp.goals, 'goal')} in ${plural(recap.mvp.games, 'game')}` });
+    }
+    if (recap.bestDuo) {
+        headlines.push({ icon: '👥', title: 'Duo of the night', text: `${recap.bestDuo.name}, ${recap.bestDuo.wins}-${recap.bestDuo.losses}` });
+    }
+    if (recap.upset) {
+        const { winner, loser, winnerWins, loserWins } = recap.upset;
+        headlines.push({ icon: '😱', title: 'Biggest upset', text: `${winner} beat ${loser} after winning only ${winnerWins} of ${winnerWins + loserWins} earlier meetings` });
+    }
+    if (recap.luckiest) {
+        const { player, activations, games, ratio } = recap.luckiest;
+        headlines.push({ icon: '🍀', title: 'Luckiest RNG', text: `${player} got ${plural(activations, 'powerup')} in ${plural(games, 'game')}, ${ratio.toFixed(1)}× the night's average` });
+    }
+    if (recap.topPowerup) {
+        const { name, used, share } = recap.topPowerup;
+        headlines.push({ icon: '⚡', title: 'Most used powerup', text: `${powerupInfo(name).label}, ${plural(used, 'time')} (${(share * 100).toFixed(0)}% of all activations)` });
+    }
+    return headlines;
+}
+
+function renderPlaydayRecap(playday, recap) {
+    PLAYDAY_RECAP = {
+        label: playday.label,
+        summary: `${recap.games} game${recap.games === 1 ? '' : 's'} · ${recap.goals} goal${recap.goals === 1 ? '' : 's'}`,
+        headlines: recapHeadlines(recap)
+    };
+
+    document.getElementById('playday-recap').innerHTML = html`
+    <div class="bg-gradient-to-br from-slate-800 to-indigo-950/60 p-6 rounded-xl border border-amber-500/30">
+        <div class="flex flex-wrap justify-between items-center gap-4 mb-4">
+            <div>
+                <h2 class="text-xl font-bold">📝 Recap</h2>
+                <div class="text-sm text-slate-400">${PLAYDAY_RECAP.summary}</div>
+            </div>
+            <div class="flex gap-2">
+                <button id="copy-playday-recap" data-action="copyPlaydayRecap" class="text-xs text-slate-400 hover:text-white border border-slate-700 rounded px-2 py-1 transition">📋 Copy text</button>
+                <button data-action="downloadPlaydayRecap" class="text-xs text-slate-400 hover:text-white border border-slate-700 rounded px-2 py-1 transition">🖼 Download image</button>
+            </div>
+        </div>
+        <div class="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-3">${PLAYDAY_RECAP.headlines.map(h => html`
+            <div class="bg-slate-900/50 rounded-lg p-4">
+                <div class="text-xs uppercase tracking-widest text-amber-400 mb-1">${h.icon} ${h.title}</div>
+                <div class="text-sm text-slate-200">${h.text}</div>
+            </div>`)}
+        </div>
+    </div>`;
+}
+
+function playdayRecapText() {
+    return [
+        `📝 Playday recap · ${PLAYDAY_RECAP.label}`,
+        PLAYDAY_RECAP.summary,
+        '',
+        ...PLAYDAY_RECAP.headlines.map(h => `${h.icon} ${h.title}: ${h.text}`)
+    ].join('\n');
+}
+
+async function copyPlaydayRecap() {
+    const button = document.getElementById('copy-playday-recap');
+    try {
+        await navigator.clipboard.writeText(playdayRecapText());
+        button.innerText = "✓ Copied";
+    } catch (error) {
+        console.warn("Could not copy the recap:", error);
+        button.innerText = "Copy blocked by the browser";
+    }
+    setTimeout(() => { button.innerText = "📋 Copy text"; }, 2000);
+}
+
+// Drawn straight onto a canvas in the dashboard colours, sized for a phone screen
+const RECAP_IMAGE_WIDTH = 1080;
+
+function downloadPlaydayRecap() {
+    const pad = 64;
+    const lineHeight = 44;
+    const out = document.createElement('canvas');
+    const ctx = out.getContext('2d');
+    const wrap = (text, font, width) => {
+        ctx.font = font;
+        const lines = [''];
+        text.split(' ').forEach(word => {
+            const line = lines[lines.length - 1];
+            const next = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(next).width > width) lines.push(word);
+            else lines[lines.length - 1] = next;
+        });
+        return lines;
+    };
+
+    const textFont = '32px sans-serif';
+    const blocks = PLAYDAY_RECAP.headlines.map(h => ({ ...h, lines: wrap(h.text, textFont, RECAP_IMAGE_WIDTH - pad * 2) }));
+    out.width = RECAP_IMAGE_WIDTH;
+    out.height = pad * 2 + 150 + blocks.reduce((sum, b) => sum + 48 + b.lines.length * lineHeight + 32, 0);
+
+    ctx.fillStyle = '#0f172a';
+    ctx.fillRect(0, 0, out.width, out.height);
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#fbbf24';
+    ctx.font = 'bold 52px sans-serif';
+    ctx.fillText('📝 Playday recap', pad, pad);
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = textFont;
+    ctx.fillText(`${PLAYDAY_RECAP.label} · ${PLAYDAY_RECAP.summary}`, pad, pad + 72);
+
+    let y = pad + 150;
+    blocks.forEach(b => {
+        ctx.fillStyle = '#fbbf24';
+        ctx.font = 'bold 28px sans-serif';
+        ctx.fillText(`${b.icon} ${b.title.toUpperCase()}`, pad, y);
+        y += 48;
+        ctx.fillStyle = '#e2e8f0';
+        ctx.font = textFont;
+        b.lines.forEach(line => {
+            ctx.fillText(line, pad, y);
+            y += lineHeight;
+        });
+        y += 32;
     });
+    out.toBlob(blob => downloadBlob(blob, exportFileName('playday recap', 'png')), 'image/png');
+}
 
-    events.forEach(e => {
-        const pName = e.player_name;
-        const pItem = e.powerup_name;
+// --- LOGIC: SKILL RATINGS ---
+// Which leaderboard the ratings panel is showing: 'players' or 'duos'
+let RATING_VIEW = 'players';
 
-        if (!playerStats[pName][pItem]) playerStats[pName][pItem] = { used: 0, goals: 0 };
+function renderRatings(ratings) {
+    const entries = Object.values(RATING_VIEW === 'duos' ? ratings.duos : ratings.players)
+        .sort((a, b) => b.rating - a.rating);
+    const lastPlayday = GLOBAL_PLAYDAYS[GLOBAL_PLAYDAYS.length - 1];
 
-        if (e.event_type === 'Activation') {
-            totalUsage[pItem] = (totalUsage[pItem] || 0) + 1;
-            playerStats[pName][pItem].used++;
-        } else if (e.event_type === 'Goal' && pItem !== 'None') {
-            playerStats[pName][pItem].goals++;
-        }
+    document.querySelectorAll('[data-rating-view]').forEach(btn => {
+        const active = btn.dataset.ratingView === RATING_VIEW;
+        btn.classList.toggle('bg-indigo-500', active);
+        btn.classList.toggle('text-white', active);
+        btn.classList.toggle('text-slate-400', !active);
     });
-    return { totalUsage, playerStats };
+
+    const tbody = document.getElementById('ratings-table-body');
+    if (entries.length === 0) {
+        tbody.innerHTML = html`<tr><td colspan="5" class="p-4 text-center text-slate-500">No match results yet</td></tr>`;
+    } else {
+        tbody.innerHTML = entries.map((e, index) => {
+            const playedLastDay = lastPlayday && e.history.some(h => new Date(h.time) >= lastPlayday.start);
+            const delta = playedLastDay ? e.rating - ratingBefore(e, lastPlayday.start) : 0;
+            let deltaHtml = html`<span class="text-slate-600">–</span>`;
+            if (playedLastDay) {
+                const deltaClass = delta >= 0 ? 'text-green-400' : 'text-red-400';
+                deltaHtml = html`<span class="${deltaClass}">${delta >= 0 ? '+' : ''}${delta.toFixed(0)}</span>`;
+            }
+            return html`
+            <tr class="border-b border-slate-700/50 hover:bg-slate-700/30 transition">
+                <td class="p-3 text-slate-500 font-mono">${index + 1}</td>
+                <td class="p-3 font-semibold text-white"><a href="${profileHref(RATING_VIEW === 'duos' ? 'team' : 'player', e.name)}" class="hover:text-indigo-400">${e.name}</a></td>
+                <td class="p-3 text-center font-mono text-lg text-amber-400">${e.rating.toFixed(0)}</td>
+                <td class="p-3 text-center font-mono">${deltaHtml}</td>
+                <td class="p-3 text-right text-slate-400 font-mono">${e.games}</td>
+            </tr>`;
+        }).join('');
+    }
+
+    renderRatingHistoryChart('chart-rating-history', entries);
 }
 
-function calculateTeamStatsByEvent(events, matches) {
-    const gameToTeams = {};
-    matches.forEach(m => {
-        const team0 = (m.team0_players || []).sort().join(" & ") || "Unknown";
-        const team1 = (m.team1_players || []).sort().join(" & ") || "Unknown";
-        gameToTeams[m.game_id] = { 0: team0, 1: team1 };
+function setRatingView(view) {
+    RATING_VIEW = view;
+    renderRatings(DASHBOARD_STATS.ratings);
+}
+
+// One line per entity, sampled at the end of every playday
+function renderRatingHistoryChart(canvasId, entries) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return;
+
+    if (GLOBAL_CHART_INSTANCES[canvasId]) {
+        GLOBAL_CHART_INSTANCES[canvasId].destroy();
+    }
+
+    const labels = GLOBAL_PLAYDAYS.map(p => p.start.toLocaleDateString('en-GB'));
+    const datasets = entries.map((e, i) => {
+        const firstGame = new Date(e.history[0].time);
+        const color = SERIES_COLORS[i % SERIES_COLORS.length];
+        return {
+            label: e.name,
+            data: GLOBAL_PLAYDAYS.map(p => p.end < firstGame ? null : ratingBefore(e, new Date(p.end.getTime() + 1))),
+            borderColor: color,
+            backgroundColor: color,
+            tension: 0.25,
+            pointRadius: 2,
+            spanGaps: true
+        };
     });
 
-    const teamStats = {};
-    const allTeams = [...new Set(Object.values(gameToTeams).flatMap(g => Object.values(g)))];
-    
-    // Initialize for all teams to ensure they appear
-    allTeams.forEach(teamName => {
-        if(teamName !== "Unknown") teamStats[teamName] = {};
+    const chart = new Chart(ctx, {
+        type: 'line',
+        data: { labels, datasets },
+        options: {
+            responsive: true, maintainAspectRatio: false,
+            interaction: { mode: 'nearest', intersect: false },
+            scales: {
+                x: { ticks: { color: '#94a3b8' }, grid: { display: false } },
+                y: { ticks: { color: '#64748b', precision: 0 }, grid: { color: '#334155' } }
+            },
+            plugins: {
+                tooltip: { callbacks: { label: (c) => `${c.dataset.label}: ${c.raw.toFixed(0)}` } },
+                legend: { position: 'bottom', labels: { color: '#cbd5e1', boxWidth: 12 } }
+            }
+        }
+    });
+    GLOBAL_CHART_INSTANCES[canvasId] = chart;
+}
+
+// --- LOGIC: TRENDS ---
+// Which series the trend charts show; lines are rolling averages, the tooltip adds the single bucket
+let TREND_VIEW = { unit: 'playday', players: 'goalsPerGame', powerups: 'usageShare' };
+const TREND_METRICS = {
+    goalsPerGame: { label: 'Goals per game', format: v => v.toFixed(2) },
+    winRate: { label: 'Win rate', format: v => `${(v * 100).toFixed(0)}%`, percent: true },
+    usageShare: { label: 'Share of activations', format: v => `${(v * 100).toFixed(1)}%`, percent: true },
+    conversion: { label: 'Conversion', format: v => `${(v * 100).toFixed(0)}%`, percent: true }
+};
+
+function setTrendUnit(unit) {
+    TREND_VIEW.unit = unit;
+    renderTrends(DASHBOARD_STATS.trends);
+}
+
+function setTrendMetric(kind, metric) {
+    TREND_VIEW[kind] = metric;
+    renderTrends(DASHBOARD_STATS.trends);
+}
+
+function renderTrends(allTrends) {
+    const trends = allTrends[TREND_VIEW.unit];
+    document.querySelectorAll('[data-trend-unit], [data-trend-metric]').forEach(btn => {
+        const active = btn.dataset.trendUnit
+            ? btn.dataset.trendUnit === TREND_VIEW.unit
+            : TREND_VIEW[btn.dataset.trendKind] === btn.dataset.trendMetric;
+        btn.classList.toggle('bg-indigo-500', active);
+        btn.classList.toggle('text-white', active);
+        btn.classList.toggle('text-slate-400', !active);
     });
 
-    events.forEach(e => {
-        const gameMap = gameToTeams[e.game_id];
-        if (!gameMap) return;
+    const unitName = TREND_VIEW.unit === 'week' ? 'week' : 'playday';
+    document.getElementById('trends-note').innerText = trends.buckets.length < 2
+        ? `Trends need games on at least two ${unitName}s.`
+        : `Lines are rolling averages over the last ${trends.window} ${unitName}s; tooltips also show the single ${unitName}.`;
+
+    const labels = trends.buckets.map(b => TREND_VIEW.unit === 'week'
+        ? `Week of ${b.start.toLocaleDateString('en-GB')}`
+        : b.start.toLocaleDateString('en-GB'));
+    renderTrendChart('chart-trend-players', labels, TREND_VIEW.players,
+        trends.players.map((p, i) => ({ label: p.name, series: p[TREND_VIEW.players], color: SERIES_COLORS[i % SERIES_COLORS.length] })));
+    renderTrendChart('chart-trend-powerups', labels, TREND_VIEW.powerups,
+        trends.powerups.map(p => ({ label: powerupInfo(p.name).label, series: p[TREND_VIEW.powerups], color: powerupColor(p.name) })));
+}
 
-        const teamName = gameMap[e.team_num];
-        if (teamName === "Unknown") return;
+function renderTrendChart(canvasId, labels, metricKey, lines) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return;
 
-        const pItem = e.powerup_name;
+    if (GLOBAL_CHART_INSTANCES[canvasId]) {
+        GLOBAL_CHART_INSTANCES[canvasId].destroy();
+    }
 
-        if (!teamStats[teamName][pItem]) teamStats[teamName][pItem] = { used: 0, goals: 0 };
+    const metric = TREND_METRICS[metricKey];
+    const datasets = lines.map(line => ({
+        label: line.label,
+        data: line.series.rolling,
+        single: line.series.value,
+        borderColor: line.color,
+        backgroundColor: line.color,
+        tension: 0.25,
+        pointRadius: 2,
+        spanGaps: true
+    }));
 
-        if (e.event_type === 'Activation') {
-            teamStats[teamName][pItem].used++;
-        } else if (e.event_type === 'Goal' && pItem !== 'None') {
-            teamStats[teamName][pItem].goals++;
+    const chart = new Chart(ctx, {
+        type: 'line',
+        data: { labels, datasets },
+        options: {
+            responsive: true, maintainAspectRatio: false,
+            interaction: { mode: 'nearest', intersect: false },
+            scales: {
+                x: { ticks: { color: '#94a3b8' }, grid: { display: false } },
+                y: {
+                    beginAtZero: true,
+                    max: metric.percent ? 1 : undefined,
+                    ticks: { color: '#64748b', callback: v => metric.percent ? `${(v * 100).toFixed(0)}%` : v },
+                    grid: { color: '#334155' }
+                }
+            },
+            plugins: {
+                tooltip: { callbacks: { label: (c) => `${c.dataset.label}: ${metric.format(c.raw)} (this ${TREND_VIEW.unit}: ${metric.format(c.dataset.single[c.dataIndex])})` } },
+                legend: { position: 'bottom', labels: { color: '#cbd5e1', boxWidth: 12 } }
+            }
         }
     });
-    return teamStats;
+    GLOBAL_CHART_INSTANCES[canvasId] = chart;
 }
 
-
 // --- LOGIC: DYNAMIC DUOS ---
-function renderDuoTable(matches) {
-    const teamsMap = {}; // Key: "PlayerA + PlayerB", Value: {wins, losses}
-
-    matches.forEach(match => {
-        const processTeam = (players, isWinner) => {
-            if (!players || players.length === 0) return;
-            const teamId = [...players].sort().join(" & ");
-            if (!teamsMap[teamId]) teamsMap[teamId] = { wins: 0, losses: 0, games: 0 };
-            
-            teamsMap[teamId].games++;
-            if (isWinner) teamsMap[teamId].wins++;
-            else teamsMap[teamId].losses++;
-        };
-        processTeam(match.team0_players, match.winning_team === 0);
-        processTeam(match.team1_players, match.winning_team === 1);
-    });
+function renderDuoTable(segments) {
+    registerExport('duo-table-body', 'dynamic-duos', segments.flatMap(s => s.duos.map(t => ({
+        mode: s.mode, team: t.name, games: t.games, wins: t.wins, losses: t.losses
+    }))));
 
-    const sortedTeams = Object.entries(teamsMap)
-        .map(([name, stats]) => ({ name, ...stats }))
-        .sort((a, b) => b.games - a.games);
+    const size = segments.length === 1 ? segments[0].mode.match(/^(\d+)v\1$/) : null;
+    document.getElementById('duo-title').innerText = (size && TEAM_TABLE_TITLES[size[1]]) || '👥 Teams';
 
     const tbody = document.getElementById('duo-table-body');
-    if(sortedTeams.length === 0) {
-        tbody.innerHTML = `<tr><td colspan="5" class="p-4 text-center text-slate-500">No match results yet</td></tr>`;
+    if(segments.length === 0) {
+        tbody.innerHTML = html`<tr><td colspan="5" class="p-4 text-center text-slate-500">No match results yet</td></tr>`;
     } else {
-        tbody.innerHTML = sortedTeams.map(t => {
+        tbody.innerHTML = segmentRows(segments, 5, s => s.duos.map(t => {
             const winRate = ((t.wins / t.games) * 100).toFixed(0);
             const colorClass = winRate >= 50 ? 'text-green-400' : 'text-slate-400';
-            return `
+            return html`
             <tr class="border-b border-slate-700/50 hover:bg-slate-700/30 transition">
-                <td class="p-3 font-semibold text-white">${t.name}</td>
+                <td class="p-3 font-semibold text-white"><a href="${profileHref('team', t.name)}" class="hover:text-indigo-400">${t.name}</a></td>
                 <td class="p-3 text-center text-slate-300">${t.games}</td>
                 <td class="p-3 text-center text-green-500">${t.wins}</td>
                 <td class="p-3 text-center text-red-500">${t.losses}</td>
                 <td class="p-3 text-right font-bold ${colorClass}">${winRate}%</td>
             </tr>`;
-        }).join('');
+        }));
+    }
+}
+
+// --- POWERUP CATALOG ---
+// Display name, colour, icon and category of every powerup, from the data source or powerups.json
+let POWERUP_CATALOG = normalizePowerupCatalog([]);
+let POWERUP_CATALOG_SOURCE = 'powerups.json';
+// Powerups in the events that the catalog doesn't know yet
+let UNKNOWN_POWERUPS = [];
+
+async function loadPowerupCatalog() {
+    let rows = [];
+    if (DATA_SOURCE.powerups) {
+        try {
+            rows = await DATA_SOURCE.powerups();
+            POWERUP_CATALOG_SOURCE = `the ${POWERUPS_TABLE} table`;
+        } catch (error) {
+            // e.g. the powerup_catalog table hasn't been created yet
+            console.warn(`Could not load the powerup catalog from table ${POWERUPS_TABLE}, using powerups.json:`, error);
+        }
+    }
+    if (rows.length === 0) {
+        POWERUP_CATALOG_SOURCE = 'powerups.json';
+        try {
+            rows = await loadLocalPowerupCatalog();
+        } catch (error) {
+            console.warn("No powerup catalog loaded, every powerup shows as unknown:", error);
+        }
     }
+    POWERUP_CATALOG = normalizePowerupCatalog(rows);
+}
+
+// Catalog entry, or a grey stand-in for a powerup the catalog doesn't know
+function powerupInfo(name) {
+    return POWERUP_CATALOG.powerups[name]
+        || { name, label: name, color: POWERUP_DEFAULT_COLOR, icon: powerupIconPath(name), category: null };
+}
+
+function powerupColor(name) {
+    return powerupInfo(name).color;
+}
+
+// Every catalog powerup in catalog order, then the unknown ones among names
+function powerupOrder(names) {
+    const unknown = [...new Set(names)].filter(n => n !== 'None' && !POWERUP_CATALOG.powerups[n]).sort();
+    return [...POWERUP_CATALOG.order, ...unknown];
+}
+
+function renderUnknownPowerups() {
+    const panel = document.getElementById('unknown-powerups');
+    panel.classList.toggle('hidden', UNKNOWN_POWERUPS.length === 0);
+    panel.innerHTML = html`
+        <div class="font-bold mb-1">⚠ ${UNKNOWN_POWERUPS.length === 1 ? 'A powerup is' : `${UNKNOWN_POWERUPS.length} powerups are`} missing from the catalog</div>
+        <div class="text-amber-300/80 mb-2">They show in grey with a placeholder icon until they are added to ${POWERUP_CATALOG_SOURCE}.</div>
+        <ul class="space-y-1">${UNKNOWN_POWERUPS.map(p => html`
+            <li><span class="font-mono text-white">${p.name}</span> · ${p.events} event${p.events === 1 ? '' : 's'} · first seen ${new Date(p.firstSeen).toLocaleDateString('en-GB')}, last ${new Date(p.lastSeen).toLocaleDateString('en-GB')}</li>`)}
+        </ul>`;
 }
 
 // --- CONSTANTS ---
-const POWERUP_COLORS = {
-    "Kaktus": "#ef4444", "Nogica": "#f59e0b", "Magnet": "#3b82f6", "Saka": "#8b5cf6",
-    "Ventilator": "#10b981", "Plunger": "#ec4899", "Betman": "#6366f1", "Teleport": "#64748b",
-    "Freeze": "#06b6d4", "Sakica": "#8b5cf6", "Boost": "#f43f5e"
-};
-const DEFAULT_COLOR = "#94a3b8";
+// Line colours for charts with one series per player or team
+const SERIES_COLORS = [
+    "#3b82f6", "#f97316", "#10b981", "#ec4899", "#f59e0b", "#8b5cf6",
+    "#06b6d4", "#ef4444", "#84cc16", "#6366f1", "#14b8a6", "#f43f5e"
+];
 
 // --- REUSABLE RENDERING LOGIC ---
 
-function renderCharts(events, matches) {
-    const { totalUsage, playerStats } = calculatePowerupStats(events);
-    const teamStats = calculateTeamStatsByEvent(events, matches);
+function renderCharts(dashboard) {
+    const { totalUsage, playerStats } = dashboard.powerups;
+    const teamStats = dashboard.teamStats;
 
     renderPowerupLeaderboard('powerup-leaderboard', totalUsage);
     renderFairnessChart('chart-fairness', playerStats);
-    renderTopScorers('scorers-table-body', events);
+    renderTopScorers('scorers-table-body', dashboard.modes);
     
     // The main team fairness chart for lifetime stats
     renderTeamFairnessChart('chart-team-fairness', teamStats);
+
+    renderFairnessTest('fairness-test', dashboard.fairness.players);
+    renderFairnessTest('team-fairness-test', dashboard.fairness.teams);
+    setFairnessMode(FAIRNESS_MODE);
 }
 
 function renderPowerupLeaderboard(containerId, totals) {
     const container = document.getElementById(containerId);
     if (!container) return;
-    container.innerHTML = "";
-    
     const sorted = Object.entries(totals).sort((a, b) => b[1] - a[1]);
     const maxVal = sorted[0] ? sorted[0][1] : 1; 
 
-    sorted.forEach(([name, count]) => {
-        const color = POWERUP_COLORS[name] || DEFAULT_COLOR;
+    container.innerHTML = sorted.map(([name, count]) => {
+        const info = powerupInfo(name);
         const widthPct = (count / maxVal) * 100;
-        const filename = name.toLowerCase().replace(/[^a-z0-9]/g, "") + ".webp";
 
-        const html = `
+        return html`
         <div class="flex items-center gap-3">
             <div class="w-10 h-10 flex-shrink-0 bg-slate-700/50 rounded-lg p-1 border border-slate-600">
-                <img src="assets/${filename}" alt="${name}" class="w-full h-full object-contain" onerror="this.src='https://placehold.co/40?text=?'">
+                <img src="${info.icon}" alt="${info.label}" class="w-full h-full object-contain" data-fallback="placeholder">
             </div>
             <div class="flex-1">
                 <div class="flex justify-between text-sm mb-1">
-                    <span class="font-bold text-slate-200">${name}</span>
+                    <span class="font-bold text-slate-200">${info.label}${info.category ? html` <span class="text-xs font-normal text-slate-500">${info.category}</span>` : ''}</span>
                     <span class="font-mono text-slate-400">${count}</span>
                 </div>
                 <div class="w-full bg-slate-700/50 rounded-full h-2.5 overflow-hidden">
-                    <div class="h-full rounded-full transition-all duration-1000" style="width: ${widthPct}%; background-color: ${color}"></div>
+                    <div class="h-full rounded-full transition-all duration-1000" style="width: ${widthPct}%; background-color: ${info.color}"></div>
                 </div>
             </div>
         </div>`;
-        container.innerHTML += html;
-    });
+    }).join('');
 }
 
 function renderFairnessChart(canvasId, stats) {
@@ -240,17 +1663,17 @@ function renderFairnessChart(canvasId, stats) {
     }
 
     const players = Object.keys(stats).sort();
-    const allPowerups = Object.keys(POWERUP_COLORS);
+    const allPowerups = powerupOrder(players.flatMap(player => Object.keys(stats[player])));
 
     const datasets = allPowerups.map(pName => ({
-        label: pName,
+        label: powerupInfo(pName).label,
         data: players.map(player => {
             const pStats = stats[player][pName];
             const totalItems = Object.values(stats[player]).reduce((a, b) => a + b.used, 0);
             const count = pStats ? pStats.used : 0;
             return totalItems > 0 ? (count / totalItems) * 100 : 0;
         }),
-        backgroundColor: POWERUP_COLORS[pName] || DEFAULT_COLOR,
+        backgroundColor: powerupColor(pName),
         barPercentage: 0.6,
     }));
 
@@ -281,17 +1704,17 @@ function renderTeamFairnessChart(canvasId, stats) {
     }
 
     const teams = Object.keys(stats).sort();
-    const allPowerups = Object.keys(POWERUP_COLORS);
+    const allPowerups = powerupOrder(teams.flatMap(t => Object.keys(stats[t] || {})));
 
     const datasets = allPowerups.map(pName => ({
-        label: pName,
+        label: powerupInfo(pName).label,
         data: teams.map(t => {
             const tStats = stats[t][pName];
             const totalItems = Object.values(stats[t] || {}).reduce((a, b) => a + b.used, 0);
             const count = tStats ? tStats.used : 0;
             return totalItems > 0 ? (count / totalItems) * 100 : 0;
         }),
-        backgroundColor: POWERUP_COLORS[pName] || DEFAULT_COLOR,
+        backgroundColor: powerupColor(pName),
         barPercentage: 0.6,
     }));
 
@@ -310,91 +1733,826 @@ function renderTeamFairnessChart(canvasId, stats) {
     GLOBAL_CHART_INSTANCES[canvasId] = chart;
 }
 
-function renderTopScorers(tbodyId, events) {
-    const playerStats = {};
-    [...new Set(events.map(e => e.player_name))].forEach(p => {
-        playerStats[p] = { total: 0, rumble: 0 };
+// --- RNG FAIRNESS TESTS ---
+// 'distribution' shows the stacked bar charts, 'test' the chi-square results
+let FAIRNESS_MODE = 'distribution';
+
+function setFairnessMode(mode) {
+    FAIRNESS_MODE = mode;
+    document.querySelectorAll('.fairness-chart').forEach(el => el.classList.toggle('hidden', mode !== 'distribution'));
+    document.querySelectorAll('.fairness-test').forEach(el => el.classList.toggle('hidden', mode !== 'test'));
+    document.querySelectorAll('[data-fairness-mode]').forEach(btn => {
+        const active = btn.dataset.fairnessMode === mode;
+        btn.classList.toggle('bg-indigo-500', active);
+        btn.classList.toggle('text-white', active);
+        btn.classList.toggle('text-slate-400', !active);
     });
+}
 
-    events.forEach(e => {
-        if (e.event_type === 'Goal') {
-            playerStats[e.player_name].total++;
-            if (e.powerup_name !== 'None') playerStats[e.player_name].rumble++;
-        }
+const FAIRNESS_VERDICT_STYLES = {
+    unusual: { text: "Unusual", classes: "bg-red-500/20 text-red-400" },
+    fair: { text: "Fair", classes: "bg-green-500/20 text-green-400" },
+    inconclusive: { text: "Too few draws", classes: "bg-slate-700 text-slate-400" }
+};
+
+function renderFairnessTest(containerId, fairness) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const { threshold, minSample, results } = fairness;
+    if (results.length === 0) {
+        container.innerHTML = html`<p class="p-4 text-center text-slate-500">No powerup activations yet</p>`;
+        return;
+    }
+
+    const pct = (v) => `${(v * 100).toFixed(0)}%`;
+    const formatP = (p) => p < 0.001 ? p.toExponential(1) : p.toFixed(3);
+    const rows = results.map(r => {
+        const verdict = FAIRNESS_VERDICT_STYLES[r.verdict];
+        const d = r.deviation;
+        const deviation = d ? html`
+            <span class="text-slate-200">${d.powerup}</span>
+            <span class="font-mono ${d.residual > 0 ? 'text-green-400' : 'text-red-400'}">${pct(d.observed)}</span>
+            <span class="font-mono text-slate-500 text-xs">(${pct(d.low)}–${pct(d.high)}) vs ${pct(d.expected)}</span>` : '';
+        return html`
+        <tr class="border-b border-slate-700/50 hover:bg-slate-700/30 transition ${r.inconclusive ? 'opacity-60' : ''}">
+            <td class="p-2 font-semibold text-white">${r.name}</td>
+            <td class="p-2 text-center font-mono text-slate-300">${r.n}</td>
+            <td class="p-2 text-center font-mono text-slate-400">${r.chi2.toFixed(1)} <span class="text-xs text-slate-600">(${r.df})</span></td>
+            <td class="p-2 text-center font-mono ${r.verdict === 'unusual' ? 'text-red-400 font-bold' : 'text-slate-300'}">${formatP(r.pValue)}</td>
+            <td class="p-2">${deviation}</td>
+            <td class="p-2 text-right"><span class="px-2 py-1 rounded text-xs font-bold ${verdict.classes}">${verdict.text}</span></td>
+        </tr>`;
     });
 
-    const sorted = Object.entries(playerStats).sort((a, b) => b[1].total - a[1].total);
+    container.innerHTML = html`
+    <table class="w-full text-left border-collapse text-sm">
+        <thead>
+            <tr class="text-slate-400 border-b border-slate-700 text-xs uppercase">
+                <th class="p-2 font-normal">Name</th>
+                <th class="p-2 text-center font-normal">Draws</th>
+                <th class="p-2 text-center font-normal">χ² (df)</th>
+                <th class="p-2 text-center font-normal">p-value</th>
+                <th class="p-2 font-normal">Most off-expectation powerup (95% CI)</th>
+                <th class="p-2 text-right font-normal">Verdict</th>
+            </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+    </table>
+    <p class="text-xs text-slate-500 mt-3">
+        Each distribution is tested against everyone's pooled draws. Flagged as unusual when p &lt; ${formatP(threshold)}
+        (α = ${FAIRNESS_ALPHA}, Bonferroni-corrected). Fewer than ${minSample} activations is too few to tell.
+    </p>`;
+}
+
+function renderTopScorers(tbodyId, segments) {
     const tbody = document.getElementById(tbodyId);
     if (!tbody) return;
+    registerExport(tbodyId, 'goal-scorers', segments.flatMap(s => s.scorers.map(([name, stats]) => ({
+        mode: s.mode, player: name, goals: stats.total, rumble_goals: stats.rumble
+    }))));
 
-    tbody.innerHTML = sorted.map(([name, stats]) => {
+    tbody.innerHTML = segmentRows(segments, 3, s => s.scorers.map(([name, stats]) => {
         const rumblePct = stats.total > 0 ? ((stats.rumble / stats.total) * 100).toFixed(0) : 0;
         const scoreClass = stats.total === 0 ? "text-slate-600" : "text-rorange";
-        return `
+        return html`
         <tr class="border-b border-slate-700/50 hover:bg-slate-700/30 transition">
-            <td class="p-3 font-semibold text-white">${name}</td>
+            <td class="p-3 font-semibold text-white"><a href="${profileHref('player', name)}" class="hover:text-indigo-400">${name}</a></td>
             <td class="p-3 text-center font-mono text-lg ${scoreClass}">${stats.total}</td>
             <td class="p-3 text-right text-slate-400 font-mono">${rumblePct}%</td>
         </tr>`;
-    }).join('');
+    }));
 }
 
-function renderRivalries(matches) {
-    const rivalries = {};
-    matches.forEach(m => {
-        const t0Name = (m.team0_players || []).sort().join(" & ");
-        const t1Name = (m.team1_players || []).sort().join(" & ");
-        if (!t0Name || !t1Name) return;
+// --- GAME MODES ---
+// Tables of team, duo, rivalry and scorer stats get one block per mode when the rows cover several
+const TEAM_TABLE_TITLES = { 1: '🧍 Solo Records', 2: '👥 Dynamic Duos', 3: '👥 Trios' };
 
-        const [teamA, teamB] = [t0Name, t1Name].sort();
-        const rivalryKey = `${teamA} vs ${teamB}`;
-        if (!rivalries[rivalryKey]) {
-            rivalries[rivalryKey] = { teamA, teamB, winsA: 0, winsB: 0, games: 0 };
-        }
-        rivalries[rivalryKey].games++;
-        const winnerName = m.winning_team === 0 ? t0Name : t1Name;
-        if (winnerName === teamA) rivalries[rivalryKey].winsA++;
-        else rivalries[rivalryKey].winsB++;
-    });
+function segmentRows(segments, colspan, renderRows) {
+    if (segments.length === 1) return html`${renderRows(segments[0])}`;
+    return html`${segments.map(s => html`
+        <tr class="bg-slate-900/60">
+            <td colspan="${colspan}" class="px-3 py-1 text-xs uppercase tracking-widest text-indigo-300">${s.mode} <span class="normal-case tracking-normal text-slate-500">· ${s.games} game${s.games === 1 ? '' : 's'}</span></td>
+        </tr>${renderRows(s)}`)}`;
+}
 
-    const sorted = Object.values(rivalries).sort((a, b) => b.games - a.games);
-    document.getElementById('rivalry-table-body').innerHTML = sorted.map(r => {
+function renderRivalries(segments) {
+    GLOBAL_RIVALRIES = segments.flatMap(s => s.rivalries);
+    registerExport('rivalry-table-body', 'rivalries', segments.flatMap(s => s.rivalries.map(r => ({
+        mode: s.mode, team_a: r.teamA, wins_a: r.winsA, wins_b: r.winsB, team_b: r.teamB, games: r.games
+    }))));
+    document.getElementById('rivalry-table-body').innerHTML = segmentRows(segments, 3, s => s.rivalries.map(r => {
+        const index = GLOBAL_RIVALRIES.indexOf(r);
         const colorA = r.winsA > r.winsB ? "text-green-400 font-bold" : "text-slate-400";
         const colorB = r.winsB > r.winsA ? "text-green-400 font-bold" : "text-slate-400";
-        return `
-        <tr class="border-b border-slate-700/50 hover:bg-slate-700/30 transition">
+        return html`
+        <tr class="border-b border-slate-700/50 hover:bg-slate-700/30 transition cursor-pointer" data-action="openRivalry" data-index="${index}" title="Open in the matchup explorer">
             <td class="p-3 text-right ${colorA}">${r.teamA}</td>
             <td class="p-3 text-center"><span class="bg-slate-900 px-2 py-1 rounded text-white font-mono">${r.winsA} - ${r.winsB}</span></td>
             <td class="p-3 text-left ${colorB}">${r.teamB}</td>
         </tr>`;
+    }));
+}
+
+// --- LOGIC: MATCHUP EXPLORER ---
+// Current pick in the explorer. kind is 'team' or 'player', a/b are names (null = pick a default)
+let MATCHUP_STATE = { kind: 'team', a: null, b: null };
+let GLOBAL_RIVALRIES = [];
+const MATCHUP_FORM_LENGTH = 5;
+let MATCHUP_RENDER = 0;
+
+function openRivalry(index) {
+    const r = GLOBAL_RIVALRIES[index];
+    if (!r) return;
+    MATCHUP_STATE = { kind: 'team', a: r.teamA, b: r.teamB };
+    renderMatchupExplorer();
+    document.getElementById('matchup-explorer').scrollIntoView({ behavior: 'smooth' });
+}
+
+function setMatchupKind(kind) {
+    MATCHUP_STATE = { kind, a: null, b: null };
+    renderMatchupExplorer();
+}
+
+function selectMatchupSide(side, value) {
+    MATCHUP_STATE[side] = value;
+    // A new first pick gets its most frequent opponent
+    if (side === 'a') MATCHUP_STATE.b = null;
+    renderMatchupExplorer();
+}
+
+async function renderMatchupExplorer() {
+    const render = ++MATCHUP_RENDER;
+    const { kind } = MATCHUP_STATE;
+    document.querySelectorAll('[data-matchup-kind]').forEach(btn => {
+        const active = btn.dataset.matchupKind === kind;
+        btn.classList.toggle('bg-indigo-500', active);
+        btn.classList.toggle('text-white', active);
+        btn.classList.toggle('text-slate-400', !active);
+    });
+
+    // Without a pick it opens on the most played rivalry (teams) or the first player
+    const top = kind === 'team' ? GLOBAL_RIVALRIES[0] : null;
+    const matchup = await runStatsTask('matchup', { ...MATCHUP_STATE, top: top ? { teamA: top.teamA, teamB: top.teamB } : null });
+    if (render !== MATCHUP_RENDER) return;
+    const { names, opponents, h2h } = matchup;
+    MATCHUP_STATE = { kind, a: matchup.a, b: matchup.b };
+
+    const selectA = document.getElementById('matchup-a');
+    const selectB = document.getElementById('matchup-b');
+    selectA.innerHTML = names.map(n => html`<option>${n}</option>`).join('');
+    selectA.value = MATCHUP_STATE.a;
+    selectB.innerHTML = opponents.map(o => html`<option value="${o.name}">${o.name} (${o.games})</option>`).join('');
+    selectB.value = MATCHUP_STATE.b;
+
+    const container = document.getElementById('matchup-results');
+    if (!h2h) {
+        container.innerHTML = html`<p class="p-4 text-center text-slate-500">No matchups to compare yet</p>`;
+        return;
+    }
+
+    const nameA = MATCHUP_STATE.a, nameB = MATCHUP_STATE.b;
+    const colorA = h2h.winsA > h2h.winsB ? "text-green-400" : "text-slate-300";
+    const colorB = h2h.winsB > h2h.winsA ? "text-green-400" : "text-slate-300";
+    const perGame = (goals) => h2h.games > 0 ? (goals / h2h.games).toFixed(1) : '0.0';
+    const goalsLabel = kind === 'player' ? 'Own goals' : 'Goals';
+
+    const form = h2h.meetings.slice(0, MATCHUP_FORM_LENGTH).map(m => {
+        const won = m.winner === 'A';
+        return html`<span class="w-7 h-7 flex items-center justify-center rounded font-bold text-xs ${won ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'}" title="${new Date(m.created_at).toLocaleString('en-GB')}">${won ? 'W' : 'L'}</span>`;
+    });
+
+    const recent = h2h.meetings.slice(0, 10).map(m => html`
+        <tr class="border-b border-slate-700/50">
+            <td class="py-2 text-slate-400"><a href="${matchHref(m.game_id)}" class="hover:text-white">${new Date(m.created_at).toLocaleDateString('en-GB')}</a></td>
+            <td class="py-2 text-center font-mono"><span class="${m.winner === 'A' ? 'text-green-400' : 'text-slate-400'}">${m.goalsA}</span> - <span class="${m.winner === 'B' ? 'text-green-400' : 'text-slate-400'}">${m.goalsB}</span></td>
+            <td class="py-2 text-right ${m.winner === 'A' ? 'text-green-400' : 'text-red-400'}">${m.winner === 'A' ? 'Won' : 'Lost'}</td>
+        </tr>`);
+
+    container.innerHTML = html`
+        <div class="grid grid-cols-3 items-center text-center mb-6">
+            <div class="text-lg font-bold ${colorA}">${nameA}</div>
+            <div>
+                <div class="text-4xl font-mono font-bold"><span class="${colorA}">${h2h.winsA}</span> - <span class="${colorB}">${h2h.winsB}</span></div>
+                <div class="text-xs text-slate-500 mt-1">${h2h.games} game${h2h.games === 1 ? '' : 's'}</div>
+            </div>
+            <div class="text-lg font-bold ${colorB}">${nameB}</div>
+        </div>
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+            <div class="bg-slate-900/50 rounded-lg p-4">
+                <h4 class="text-xs uppercase tracking-widest text-slate-400 mb-3">Form of ${nameA} <span class="normal-case tracking-normal text-slate-600">(latest first)</span></h4>
+                <div class="flex gap-2">${form}</div>
+            </div>
+            <div class="bg-slate-900/50 rounded-lg p-4">
+                <h4 class="text-xs uppercase tracking-widest text-slate-400 mb-3">${goalsLabel}</h4>
+                <div class="flex justify-between font-mono">
+                    <span class="text-rorange text-2xl">${h2h.goalsA}</span>
+                    <span class="text-slate-500 text-xs self-center">${perGame(h2h.goalsA)} vs ${perGame(h2h.goalsB)} per game</span>
+                    <span class="text-rorange text-2xl">${h2h.goalsB}</span>
+                </div>
+            </div>
+            <div class="bg-slate-900/50 rounded-lg p-4 max-h-40 overflow-y-auto">
+                <h4 class="text-xs uppercase tracking-widest text-slate-400 mb-1">Recent meetings</h4>
+                <table class="w-full text-sm"><tbody>${recent}</tbody></table>
+            </div>
+        </div>
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+            ${renderMatchupPowerups(nameA, h2h.powerupsA)}
+            ${renderMatchupPowerups(nameB, h2h.powerupsB)}
+        </div>`;
+}
+
+function renderMatchupPowerups(name, powerups) {
+    const rows = Object.entries(powerups)
+        .map(([item, data]) => ({ item, ...data, conv: data.used > 0 ? (data.goals / data.used) * 100 : 0 }))
+        .sort((a, b) => b.used - a.used);
+    const body = rows.length === 0
+        ? html`<tr><td colspan="4" class="py-3 text-center text-slate-500">No powerups used</td></tr>`
+        : rows.map(row => {
+            const info = powerupInfo(row.item);
+            return html`
+            <tr class="border-b border-slate-700/50 hover:bg-slate-700/30 text-sm transition">
+                <td class="py-2 pl-2 flex items-center gap-2">
+                    <img src="${info.icon}" class="w-5 h-5 opacity-75" data-fallback="hide">
+                    <span class="text-slate-300">${info.label}</span>
+                </td>
+                <td class="text-center font-mono text-rblue">${row.used}</td>
+                <td class="text-center font-mono text-rorange">${row.goals}</td>
+                <td class="text-center font-mono text-slate-500 text-xs">${row.conv.toFixed(0)}%</td>
+            </tr>`;
+        });
+
+    return html`
+    <div>
+        <h4 class="text-xs uppercase tracking-widest text-slate-500 mb-3">Powerups · ${name}</h4>
+        <table class="w-full text-left border-collapse">
+            <thead>
+                <tr class="text-xs text-slate-500 uppercase">
+                    <th class="pb-2 pl-2 font-normal">Powerup</th>
+                    <th class="pb-2 text-center font-normal">Used</th>
+                    <th class="pb-2 text-center font-normal">Goals</th>
+                    <th class="pb-2 text-center font-normal">Conv.</th>
+                </tr>
+            </thead>
+            <tbody>${body}</tbody>
+        </table>
+    </div>`;
+}
+
+// --- LOGIC: TEAM BALANCER ---
+// Tonight's players, picked on the dashboard. Suggestions use every recorded game, not just the scoped ones.
+let BALANCER_PLAYERS = [];
+// Every split is rated on each render, and their number doubles with each extra player
+const BALANCER_MAX_PLAYERS = 12;
+let BALANCER_RENDER = 0;
+
+function toggleBalancerPlayer(name) {
+    if (BALANCER_PLAYERS.includes(name)) BALANCER_PLAYERS = BALANCER_PLAYERS.filter(p => p !== name);
+    else if (BALANCER_PLAYERS.length < BALANCER_MAX_PLAYERS) BALANCER_PLAYERS = [...BALANCER_PLAYERS, name];
+    renderTeamBalancer();
+}
+
+function clearBalancer() {
+    BALANCER_PLAYERS = [];
+    renderTeamBalancer();
+}
+
+async function renderTeamBalancer() {
+    const render = ++BALANCER_RENDER;
+    const known = [...new Set(NAMED_MATCHES.flatMap(m => [...(m.team0_players || []), ...(m.team1_players || [])]))].sort();
+    // An alias change can merge a picked player away
+    BALANCER_PLAYERS = BALANCER_PLAYERS.filter(p => known.includes(p));
+    document.getElementById('balancer-clear').classList.toggle('hidden', BALANCER_PLAYERS.length === 0);
+
+    const full = BALANCER_PLAYERS.length >= BALANCER_MAX_PLAYERS;
+    document.getElementById('balancer-players').innerHTML = html`${known.map(name => {
+        const active = BALANCER_PLAYERS.includes(name);
+        if (!active && full) return html`<button disabled class="text-sm rounded-full px-3 py-1 border border-slate-800 text-slate-600 cursor-not-allowed">${name}</button>`;
+        return html`<button data-action="toggleBalancerPlayer" data-player="${name}" class="text-sm rounded-full px-3 py-1 border transition ${active ? 'bg-indigo-500 border-indigo-500 text-white' : 'border-slate-700 text-slate-400 hover:text-white'}">${name}</button>`;
+    })}`;
+
+    const results = document.getElementById('balancer-results');
+    if (BALANCER_PLAYERS.length < 2) {
+        results.innerHTML = html`<p class="text-center text-slate-500 text-sm">Pick at least two players</p>`;
+        return;
+    }
+
+    const { suggestions, unrated } = await runStatsTask('balancer', { players: BALANCER_PLAYERS });
+    if (render !== BALANCER_RENDER) return;
+    const sideColors = ['text-rblue', 'text-rorange'];
+    // A duo is its only pair, so its pair needs no names
+    const teamBlock = (team, side) => html`
+        <div class="${side === 0 ? 'text-right' : ''}">
+            <div class="text-lg font-bold ${sideColors[side]}">${team.players.join(' & ')}</div>
+            ${team.pairs.map(pair => {
+                const names = team.pairs.length > 1 ? `${pair.players.join(' & ')} ` : '';
+                return pair.games === 0
+                    ? html`<div class="text-xs text-amber-400">🆕 ${names}never played together</div>`
+                    : html`<div class="text-xs text-slate-500">${names}${pair.games} game${pair.games === 1 ? '' : 's'} together</div>`;
+            })}
+        </div>`;
+
+    results.innerHTML = html`
+        ${full ? html`<p class="text-xs text-amber-400 mb-3">The balancer splits at most ${BALANCER_MAX_PLAYERS} players, with more there are too many ways to split them. Unpick someone to add another player.</p>` : ''}
+        ${unrated.length > 0 ? html`<p class="text-xs text-slate-500 mb-3">No rated games yet for ${unrated.join(', ')}, counted at the starting rating</p>` : ''}
+        <div class="space-y-3">${suggestions.map((s, index) => html`
+            <div class="bg-slate-900/50 rounded-lg p-4">
+                <div class="text-xs uppercase tracking-widest text-slate-500 mb-2">${index === 0 ? 'Most balanced' : `Option ${index + 1}`}</div>
+                <div class="grid grid-cols-3 items-center gap-4">
+                    ${teamBlock(s.teams[0], 0)}
+                    <div class="text-center">
+                        <div class="text-2xl font-mono font-bold"><span class="text-rblue">${(s.teams[0].winProbability * 100).toFixed(0)}%</span> - <span class="text-rorange">${(s.teams[1].winProbability * 100).toFixed(0)}%</span></div>
+                        <div class="text-xs text-slate-500">expected win chance</div>
+                    </div>
+                    ${teamBlock(s.teams[1], 1)}
+                </div>
+            </div>`)}
+        </div>`;
+}
+
+// --- LOGIC: HALL OF FAME ---
+// Records shared by the Hall of Fame and the player card badges; every holder of a tied record gets the badge
+const PLAYER_RECORDS = [
+    { icon: '🔥', label: 'Longest win streak', unit: 'wins in a row', value: p => p.longestWin.length, span: p => p.longestWin },
+    { icon: '🎯', label: 'Most goals in one game', unit: 'goals', value: p => p.bestGame ? p.bestGame.goals : 0, game: p => p.bestGame },
+    { icon: '🎩', label: 'Most hat tricks', unit: 'hat tricks', value: p => p.hatTricks },
+    { icon: '🥶', label: 'Longest losing streak', unit: 'losses in a row', value: p => p.longestLoss.length, span: p => p.longestLoss }
+];
+
+function formatStreakSpan(span) {
+    const from = new Date(span.from).toLocaleDateString('en-GB');
+    const to = new Date(span.to).toLocaleDateString('en-GB');
+    return from === to ? from : `${from} – ${to}`;
+}
+
+function achievementInfo(id) {
+    return ACHIEVEMENTS.find(a => a.id === id);
+}
+
+// Badges for one player: records held, achievements unlocked and the streak they are on
+function playerBadges(records, name) {
+    const player = records.players.find(p => p.name === name);
+    if (!player) return [];
+
+    const badges = PLAYER_RECORDS
+        .filter(record => recordHolders(records.players, record.value).includes(player))
+        .map(record => ({ icon: record.icon, title: `${record.label}: ${record.value(player)} ${record.unit}`, record: true }));
+    const powerupRecords = recordHolders(records.powerupGoals, g => g.goals).filter(g => g.player === name);
+    if (powerupRecords.length > 0) {
+        const labels = powerupRecords.map(g => powerupInfo(g.powerup).label).join(', ');
+        badges.push({ icon: '⚡', title: `Most goals from one powerup: ${powerupRecords[0].goals} with ${labels}`, record: true });
+    }
+    player.achievements.forEach(a => {
+        const info = achievementInfo(a.id);
+        badges.push({ icon: info.icon, title: `${info.label} · ${new Date(a.time).toLocaleDateString('en-GB')}`, record: false });
+    });
+    return badges;
+}
+
+function renderBadges(badges) {
+    return html`${badges.map(b => html`<span class="text-base ${b.record ? 'bg-amber-500/20 rounded px-1' : ''}" title="${b.title}">${b.icon}</span>`)}`;
+}
+
+function renderCurrentStreak(streak) {
+    if (streak.length < CURRENT_STREAK_MIN) return '';
+    const won = streak.result === 'W';
+    return html`<span class="text-xs font-mono font-bold rounded px-2 py-0.5 ${won ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'}" title="Current streak since ${new Date(streak.from).toLocaleDateString('en-GB')}">${streak.length} ${won ? 'W' : 'L'}</span>`;
+}
+
+function renderHallOfFame(records) {
+    const container = document.getElementById('hall-of-fame');
+    if (records.players.length === 0) {
+        container.innerHTML = html`<p class="text-center text-slate-500 text-sm">No games yet</p>`;
+        return;
+    }
+
+    const tile = (icon, label, value, holders) => html`
+        <div class="bg-slate-900/50 rounded-lg p-4">
+            <div class="text-xs uppercase tracking-widest text-slate-500 mb-2">${icon} ${label}</div>
+            ${holders.length === 0
+                ? html`<div class="text-slate-500 text-sm">Nobody yet</div>`
+                : html`<div class="text-2xl font-mono font-bold text-amber-400 mb-1">${value}</div>${holders}`}
+        </div>`;
+    const holderLine = (name, detail, href) => html`
+        <div class="text-sm"><a href="${href}" class="font-bold text-white hover:text-indigo-400">${name}</a> ${detail ? html`<span class="text-slate-500">· ${detail}</span>` : ''}</div>`;
+
+    const playerTiles = PLAYER_RECORDS.map(record => {
+        const holders = recordHolders(records.players, record.value);
+        return tile(record.icon, record.label, holders.length > 0 ? `${record.value(holders[0])} ${record.unit}` : '', holders.map(p => {
+            if (record.span) return holderLine(p.name, formatStreakSpan(record.span(p)), profileHref('player', p.name));
+            if (record.game) return holderLine(p.name, html`<a href="${matchHref(record.game(p).game_id)}" class="hover:text-white">${new Date(record.game(p).time).toLocaleDateString('en-GB')}</a>`, profileHref('player', p.name));
+            return holderLine(p.name, '', profileHref('player', p.name));
+        }));
+    });
+
+    // Holders of a streak record, each with the dates of their run
+    const streakTile = (icon, label, unit, holders, detail) => tile(icon, label, holders.length > 0 ? `${holders[0].length} ${unit}` : '',
+        holders.map(h => holderLine(h.name, detail(h), profileHref(h.duo ? 'team' : 'player', h.name))));
+    const { duos, current } = records.streaks;
+    const since = (h) => `since ${new Date(h.from).toLocaleDateString('en-GB')}`;
+    const powerupGoals = recordHolders(records.powerupGoals, g => g.goals);
+
+    const tiles = [
+        ...playerTiles,
+        streakTile('👥', 'Longest duo win streak', 'wins in a row', duos.longestWin, formatStreakSpan),
+        streakTile('🧊', 'Longest duo losing streak', 'losses in a row', duos.longestLoss, formatStreakSpan),
+        streakTile('📈', 'On fire right now', 'wins and counting', current.win, since),
+        streakTile('📉', 'Cold right now', 'losses and counting', current.loss, since),
+        tile('⚡', 'Most goals from one powerup', powerupGoals.length > 0 ? `${powerupGoals[0].goals} goals` : '',
+            powerupGoals.map(g => holderLine(g.player, powerupInfo(g.powerup).label, profileHref('player', g.player))))
+    ];
+
+    container.innerHTML = html`
+        <div class="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4 mb-6">${tiles}</div>
+        <h3 class="text-xs uppercase tracking-widest text-slate-500 mb-3">🥇 Firsts</h3>
+        <div class="flex flex-wrap gap-3">${records.firsts.map(first => {
+            const info = achievementInfo(first.id);
+            return html`
+            <a href="${matchHref(first.game_id)}" class="text-sm bg-slate-900/50 rounded-lg px-3 py-2 hover:bg-slate-700 transition" title="${new Date(first.time).toLocaleString('en-GB')}">
+                ${info.icon} <span class="text-slate-400">${info.label}:</span> <span class="font-bold text-white">${first.player}</span>
+            </a>`;
+        })}</div>`;
+}
+
+// --- LOGIC: POWERUP IMPACT ---
+// null = everyone, otherwise the player whose games are shown
+let IMPACT_PLAYER = null;
+const IMPACT_MIN_GAMES = 5;
+
+function selectImpactPlayer(value) {
+    IMPACT_PLAYER = value || null;
+    renderPowerupImpact(DASHBOARD_STATS.impact);
+}
+
+function renderPowerupImpact(impact) {
+    const players = Object.keys(impact.players).sort();
+    if (IMPACT_PLAYER && !players.includes(IMPACT_PLAYER)) IMPACT_PLAYER = null;
+
+    const select = document.getElementById('impact-player');
+    select.innerHTML = html`<option value="">All players</option>${players.map(p => html`<option>${p}</option>`)}`;
+    select.value = IMPACT_PLAYER || '';
+
+    const rows = IMPACT_PLAYER ? impact.players[IMPACT_PLAYER] : impact.powerups;
+    const tbody = document.getElementById('impact-table-body');
+    if (rows.length === 0) {
+        tbody.innerHTML = html`<tr><td colspan="6" class="p-4 text-center text-slate-500">No powerups used in finished games yet</td></tr>`;
+        return;
+    }
+
+    // No share when the teams holding the powerup never scored
+    const shareCell = (share) => share === null ? html`<span class="text-slate-600">–</span>` : `${(share * 100).toFixed(1)}%`;
+    tbody.innerHTML = rows.map(row => {
+        const info = powerupInfo(row.name);
+        // Small samples are greyed out, a couple of lucky games say little
+        const reliable = row.games >= IMPACT_MIN_GAMES;
+        let winCell = html`<span class="text-slate-600">–</span>`;
+        if (row.winRate !== null) {
+            const pct = row.winRate * 100;
+            const color = !reliable ? 'text-slate-500' : pct > 55 ? 'text-green-400' : pct < 45 ? 'text-red-400' : 'text-slate-300';
+            const barColor = pct >= 50 ? 'bg-green-500' : 'bg-red-500';
+            // Bar grows left or right from the 50% mark
+            const barStyle = pct >= 50
+                ? `left: 50%; width: ${pct - 50}%`
+                : `left: ${pct}%; width: ${50 - pct}%`;
+            winCell = html`
+                <div class="flex items-center gap-3">
+                    <span class="w-10 text-right font-mono font-bold ${color}">${pct.toFixed(0)}%</span>
+                    <div class="relative flex-1 h-2 bg-slate-700/50 rounded-full overflow-hidden">
+                        <div class="absolute inset-y-0 ${barColor} ${reliable ? '' : 'opacity-40'}" style="${barStyle}"></div>
+                        <div class="absolute inset-y-0 left-1/2 w-px bg-slate-500"></div>
+                    </div>
+                </div>`;
+        }
+        return html`
+        <tr class="border-b border-slate-700/50 hover:bg-slate-700/30 transition">
+            <td class="p-3">
+                <div class="flex items-center gap-2">
+                    <img src="${info.icon}" class="w-5 h-5 opacity-75" data-fallback="hide">
+                    <span class="text-slate-200">${info.label}</span>
+                </div>
+            </td>
+            <td class="p-3 text-center font-mono text-rblue">${row.used}</td>
+            <td class="p-3 text-center font-mono ${reliable ? 'text-slate-300' : 'text-slate-500'}">${row.games} <span class="text-xs text-slate-500">(${row.wins}W)</span></td>
+            <td class="p-3 min-w-48">${winCell}</td>
+            <td class="p-3 text-right font-mono text-rorange">${shareCell(row.goalShare)} <span class="text-xs text-slate-500">(${row.goals}/${row.teamGoals})</span></td>
+            <td class="p-3 text-right font-mono text-rorange">${shareCell(row.outUsedGoalShare)} <span class="text-xs text-slate-500">(${row.outUsedGoals}/${row.outUsedTeamGoals})</span></td>
+        </tr>`;
     }).join('');
 }
 
-// --- TEAM & PLAYER CARDS (LIFETIME) ---
+// --- LOGIC: MATCHES ---
+const MATCH_LIST_PAGE = 20;
+let MATCH_LIST_LIMIT = MATCH_LIST_PAGE;
+let MATCH_LIST_FLAGGED_ONLY = false;
 
-function renderTeamAnalytics(events, matches) {
-    const teamStats = calculateTeamStatsByEvent(events, matches);
-    renderTeamCards(teamStats);
+function setMatchListFlagged(flaggedOnly) {
+    MATCH_LIST_FLAGGED_ONLY = flaggedOnly;
+    MATCH_LIST_LIMIT = MATCH_LIST_PAGE;
+    renderMatchList(DASHBOARD_STATS.matchList);
 }
 
-function renderPlayerCards(stats) {
+function showMoreMatches() {
+    MATCH_LIST_LIMIT += MATCH_LIST_PAGE;
+    renderMatchList(DASHBOARD_STATS.matchList);
+}
+
+function renderMatchList(matchList) {
+    const list = matchList.filter(m => !MATCH_LIST_FLAGGED_ONLY || m.flagged > 0);
+    const tbody = document.getElementById('match-list-body');
+    document.getElementById('match-list-more').classList.toggle('hidden', list.length <= MATCH_LIST_LIMIT);
+
+    if (list.length === 0) {
+        tbody.innerHTML = html`<tr><td colspan="6" class="p-4 text-center text-slate-500">${MATCH_LIST_FLAGGED_ONLY ? 'No suspicious games' : 'No match results yet'}</td></tr>`;
+        return;
+    }
+
+    tbody.innerHTML = list.slice(0, MATCH_LIST_LIMIT).map(m => {
+        const href = matchHref(m.game_id);
+        const flag = m.flagged > 0
+            ? html`<span class="text-xs text-amber-400 bg-amber-500/10 px-2 py-0.5 rounded" title="Rows or results that don't add up">⚠ ${m.flagged}</span>`
+            : '';
+        return html`
+        <tr class="border-b border-slate-700/50 hover:bg-slate-700/30 transition">
+            <td class="p-3 text-slate-400"><a href="${href}" class="hover:text-white">${new Date(m.created_at).toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' })}</a></td>
+            <td class="p-3 text-right ${m.winner === 0 ? 'text-white font-bold' : 'text-slate-400'}">${m.teams[0].join(' & ')}</td>
+            <td class="p-3 text-center font-mono"><a href="${href}" class="hover:text-indigo-400"><span class="text-rblue">${m.goals[0]}</span> - <span class="text-rorange">${m.goals[1]}</span></a></td>
+            <td class="p-3 ${m.winner === 1 ? 'text-white font-bold' : 'text-slate-400'}">${m.teams[1].join(' & ')}</td>
+            <td class="p-3 text-center text-slate-500">${m.entries.length}</td>
+            <td class="p-3 text-right">${flag}</td>
+        </tr>`;
+    }).join('');
+}
+
+function renderMatchDetail(gameId) {
+    const container = document.getElementById('match-view');
+    const match = NAMED_MATCHES.find(m => String(m.game_id) === gameId);
+
+    const editLink = ADMIN_USER
+        ? html`<a href="#/admin/${encodeURIComponent(gameId)}" class="text-xs text-slate-400 hover:text-white border border-slate-700 rounded px-2 py-1 transition">🛠 Edit rows</a>`
+        : '';
+
+    if (!match) {
+        container.innerHTML = html`
+        <a href="#/" class="text-sm text-slate-400 hover:text-white">← Back to dashboard</a>
+        <p class="mt-8 text-center text-slate-500">No match found with game_id ${gameId}</p>
+        <div class="mt-4 text-center">${editLink}</div>`;
+        return;
+    }
+
+    const timeline = calculateMatchTimeline(NAMED_EVENTS, match);
+    const sideNames = ['Blue', 'Orange'];
+    const sideColors = ['text-rblue', 'text-rorange'];
+    const start = timeline.entries.length > 0 ? new Date(timeline.entries[0].created_at) : null;
+
+    const teamPanel = (team) => {
+        const won = timeline.winner === team;
+        return html`
+        <div class="bg-slate-800 rounded-xl border ${won ? 'border-green-500/50' : 'border-slate-700'} p-6 ${team === 0 ? 'text-right' : ''}">
+            <div class="text-xs uppercase tracking-widest ${sideColors[team]} mb-2">${sideNames[team]}${won ? html` · <span class="text-green-400">Winner</span>` : ''}</div>
+            <div class="text-lg font-bold text-white">${joinHtml(timeline.teams[team].map(p => html`<a href="${profileHref('player', p)}" class="hover:text-indigo-400">${p}</a>`), ' & ')}</div>
+        </div>`;
+    };
+
+    const rows = timeline.entries.map(e => {
+        const offset = start ? Math.round((new Date(e.created_at) - start) / 1000) : 0;
+        const clock = `${Math.floor(offset / 60)}:${String(offset % 60).padStart(2, '0')}`;
+        const isGoal = e.type === 'Goal';
+        const powerup = e.powerup ? powerupInfo(e.powerup) : null;
+        const icon = powerup
+            ? html`<img src="${powerup.icon}" alt="${powerup.label}" class="w-6 h-6 object-contain" data-fallback="hide">`
+            : '';
+        const what = isGoal
+            ? html`<span class="font-bold text-white">⚽ Goal</span> <span class="text-slate-400">${powerup ? `with ${powerup.label}` : 'without a powerup'}</span>`
+            : html`<span class="text-slate-300">${powerup ? powerup.label : 'Activation'}</span>`;
+        const side = e.team === 0 || e.team === 1
+            ? html`<span class="${sideColors[e.team]}">${sideNames[e.team]}</span>`
+            : html`<span class="text-amber-400">team ${e.team}</span>`;
+        const issues = e.issues.length > 0
+            ? html`<div class="text-xs text-amber-400 mt-1">⚠ ${e.issues.join(' · ')} <span class="text-slate-500">(row id ${e.id})</span></div>`
+            : '';
+        return html`
+        <div class="flex items-start gap-4 py-2 px-3 rounded ${isGoal ? 'bg-slate-700/40' : ''} ${e.issues.length > 0 ? 'border border-amber-500/40' : ''}">
+            <div class="w-12 font-mono text-xs text-slate-500 pt-1" title="${new Date(e.created_at).toLocaleString('en-GB')}">${clock}</div>
+            <div class="w-8 h-8 flex-shrink-0 flex items-center justify-center">${icon}</div>
+            <div class="flex-1">
+                <div class="text-sm">${what}</div>
+                <div class="text-xs text-slate-400">${side} · <a href="${profileHref('player', e.player)}" class="hover:text-white">${e.player}</a>${e.rawPlayer ? html` <span class="text-slate-600">(as ${e.rawPlayer})</span>` : ''}</div>
+                ${issues}
+            </div>
+            <div class="font-mono text-sm pt-1">${e.score ? html`<span class="text-rblue">${e.score[0]}</span> - <span class="text-rorange">${e.score[1]}</span>` : ''}</div>
+        </div>`;
+    });
+
+    const matchIssues = timeline.issues.length > 0
+        ? html`<div class="mb-8 bg-amber-500/10 border border-amber-500/40 rounded-xl p-4 text-sm text-amber-300">${timeline.issues.map(i => html`<div>⚠ ${i}</div>`)}</div>`
+        : '';
+
+    container.innerHTML = html`
+    <div class="mb-8">
+        <a href="#/" class="text-sm text-slate-400 hover:text-white">← Back to dashboard</a>
+        <div class="flex flex-wrap items-center gap-4 mt-2">
+            <h2 class="text-3xl font-bold text-white">Game ${timeline.game_id}</h2>
+            ${editLink}
+        </div>
+        <div class="text-sm text-slate-400">${new Date(timeline.created_at).toLocaleString('en-GB')}</div>
+    </div>
+
+    <div class="grid grid-cols-1 md:grid-cols-3 items-center gap-4 mb-8">
+        ${teamPanel(0)}
+        <div class="text-center text-5xl font-mono font-bold"><span class="text-rblue">${timeline.goals[0]}</span> - <span class="text-rorange">${timeline.goals[1]}</span></div>
+        ${teamPanel(1)}
+    </div>
+
+    ${matchIssues}
+
+    <div class="bg-slate-800 p-6 rounded-xl border border-slate-700">
+        <h3 class="text-xl font-bold mb-4">⏱️ Timeline</h3>
+        ${rows.length > 0 ? rows : html`<p class="text-center text-slate-500">No events recorded for this game</p>`}
+    </div>`;
+}
+
+// --- PROFILES ---
+const PROFILE_RECENT_MATCHES = 15;
+
+function renderProfile(kind, name) {
+    const container = document.getElementById('profile-view');
+    const profile = calculateProfile(SCOPED_EVENTS, SCOPED_MATCHES, name, kind);
+    const { totals } = profile;
+
+    if (totals.games === 0) {
+        container.innerHTML = html`
+        <a href="#/" class="text-sm text-slate-400 hover:text-white">← Back to dashboard</a>
+        <p class="mt-8 text-center text-slate-500">No games found for ${name}</p>`;
+        return;
+    }
+
+    const winRate = ((totals.wins / totals.games) * 100).toFixed(0);
+    const rumblePct = totals.goals > 0 ? ((totals.rumbleGoals / totals.goals) * 100).toFixed(0) : 0;
+    const tile = (label, value, color = 'text-white') => html`
+        <div class="bg-slate-800 rounded-xl border border-slate-700 p-4 text-center">
+            <div class="text-xs uppercase tracking-widest text-slate-400 mb-1">${label}</div>
+            <div class="text-2xl font-mono font-bold ${color}">${value}</div>
+        </div>`;
+    const powerupTile = (label, p, detail) => {
+        if (!p) return tile(label, '–', 'text-slate-600');
+        const info = powerupInfo(p.name);
+        return html`
+        <div class="bg-slate-800 rounded-xl border border-slate-700 p-4 flex items-center gap-4">
+            <div class="w-12 h-12 flex-shrink-0 bg-slate-700/50 rounded-lg p-1 border border-slate-600">
+                <img src="${info.icon}" alt="${info.label}" class="w-full h-full object-contain" data-fallback="hide">
+            </div>
+            <div>
+                <div class="text-xs uppercase tracking-widest text-slate-400">${label}</div>
+                <div class="text-lg font-bold text-white">${info.label}</div>
+                <div class="text-xs font-mono text-slate-400">${detail}</div>
+            </div>
+        </div>`;
+    };
+    const partnerTile = (label, r, linkKind) => {
+        if (!r) return tile(label, '–', 'text-slate-600');
+        const rate = (r.winRate * 100).toFixed(0);
+        return html`
+        <div class="bg-slate-800 rounded-xl border border-slate-700 p-4">
+            <div class="text-xs uppercase tracking-widest text-slate-400 mb-1">${label}</div>
+            <a href="${profileHref(linkKind, r.name)}" class="text-lg font-bold text-white hover:text-indigo-400">${r.name}</a>
+            <div class="text-xs font-mono text-slate-400">${r.wins}W / ${r.games - r.wins}L · ${rate}%</div>
+        </div>`;
+    };
+    const partners = kind === 'player'
+        ? [partnerTile('Best teammate', profile.teammates.best, 'player'), partnerTile('Worst teammate', profile.teammates.worst, 'player')]
+        : [partnerTile('Best matchup', profile.opponents.best, 'team'), partnerTile('Worst matchup', profile.opponents.worst, 'team')];
+    const nameLinks = (players, linkKind) => joinHtml(players.map(p => html`<a href="${profileHref(linkKind, p)}" class="hover:text-white">${p}</a>`), ' & ');
+
+    const playdayRows = profile.playdays.map(p => html`
+        <tr class="border-b border-slate-700/50 hover:bg-slate-700/30 transition">
+            <td class="p-3 text-slate-300">${p.label}</td>
+            <td class="p-3 text-center text-slate-300">${p.games}</td>
+            <td class="p-3 text-center text-green-500">${p.wins}</td>
+            <td class="p-3 text-center text-red-500">${p.games - p.wins}</td>
+            <td class="p-3 text-center font-mono text-rorange">${p.goals}</td>
+            <td class="p-3 text-right font-bold ${p.wins / p.games >= 0.5 ? 'text-green-400' : 'text-slate-400'}">${((p.wins / p.games) * 100).toFixed(0)}%</td>
+        </tr>`);
+
+    const recentRows = profile.recent.slice(0, PROFILE_RECENT_MATCHES).map(r => html`
+        <tr class="border-b border-slate-700/50 hover:bg-slate-700/30 transition">
+            <td class="p-3 text-slate-400"><a href="${matchHref(r.game_id)}" class="hover:text-white">${new Date(r.created_at).toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' })}</a></td>
+            <td class="p-3 font-bold ${r.won ? 'text-green-400' : 'text-red-400'}">${r.won ? 'W' : 'L'}</td>
+            <td class="p-3 text-center font-mono text-white">${r.teamGoals} - ${r.opponentGoals}</td>
+            <td class="p-3 text-slate-300">${kind === 'player' ? (r.teammates.length ? nameLinks(r.teammates, 'player') : html`<span class="text-slate-600">solo</span>`) : ''}</td>
+            <td class="p-3 text-slate-300">${nameLinks(r.opponents, 'player')}</td>
+            <td class="p-3 text-right font-mono text-rorange">${r.goals}</td>
+        </tr>`);
+
+    container.innerHTML = html`
+    <div class="flex flex-wrap justify-between items-center gap-4 mb-8">
+        <div>
+            <a href="#/" class="text-sm text-slate-400 hover:text-white">← Back to dashboard</a>
+            <h2 class="text-3xl font-bold mt-2 ${kind === 'team' ? 'text-indigo-400' : 'text-white'}">${kind === 'team' ? '👥 ' : ''}${name}</h2>
+        </div>
+        <button data-action="copyProfileLink" id="copy-profile-link" class="text-sm text-slate-300 border border-slate-700 rounded px-3 py-2 hover:bg-slate-700 transition">🔗 Copy link</button>
+    </div>
+
+    <div class="grid grid-cols-2 md:grid-cols-6 gap-4 mb-8">
+        ${tile('Games', totals.games)}
+        ${tile('Wins', totals.wins, 'text-green-400')}
+        ${tile('Win %', `${winRate}%`, winRate >= 50 ? 'text-green-400' : 'text-slate-300')}
+        ${tile('Goals', totals.goals, 'text-rorange')}
+        ${tile('Rumble %', `${rumblePct}%`, 'text-slate-300')}
+        ${tile('Activations', totals.activations, 'text-rblue')}
+    </div>
+
+    <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
+        ${powerupTile('Favourite powerup', profile.favourite, profile.favourite ? `${profile.favourite.used} activations` : '')}
+        ${powerupTile('Most efficient', profile.mostEfficient, profile.mostEfficient ? `${(profile.mostEfficient.conv * 100).toFixed(0)}% conversion` : '')}
+        ${partners}
+    </div>
+
+    <div class="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+        <div class="bg-slate-800 p-6 rounded-xl border border-slate-700">
+            <h3 class="text-xl font-bold mb-4">📅 Per Playday</h3>
+            <div class="overflow-x-auto max-h-96">
+                <table class="w-full text-left border-collapse">
+                    <thead>
+                        <tr class="text-slate-400 border-b border-slate-700 text-sm">
+                            <th class="p-3">Playday</th>
+                            <th class="p-3 text-center">Games</th>
+                            <th class="p-3 text-center">Wins</th>
+                            <th class="p-3 text-center">Losses</th>
+                            <th class="p-3 text-center">Goals</th>
+                            <th class="p-3 text-right">Win %</th>
+                        </tr>
+                    </thead>
+                    <tbody class="text-sm font-medium">${playdayRows}</tbody>
+                </table>
+            </div>
+        </div>
+        <div class="bg-slate-800 p-6 rounded-xl border border-slate-700">
+            <h3 class="text-xl font-bold mb-4">⚡ Powerups</h3>
+            <div class="h-72"><canvas id="chart-profile-powerups"></canvas></div>
+        </div>
+    </div>
+
+    <div class="bg-slate-800 p-6 rounded-xl border border-slate-700">
+        <h3 class="text-xl font-bold mb-4">🕹️ Recent Matches</h3>
+        <div class="overflow-x-auto">
+            <table class="w-full text-left border-collapse">
+                <thead>
+                    <tr class="text-slate-400 border-b border-slate-700 text-sm">
+                        <th class="p-3">Date</th>
+                        <th class="p-3">Result</th>
+                        <th class="p-3 text-center">Score</th>
+                        <th class="p-3">${kind === 'player' ? 'Teammates' : ''}</th>
+                        <th class="p-3">Opponents</th>
+                        <th class="p-3 text-right">Goals</th>
+                    </tr>
+                </thead>
+                <tbody class="text-sm font-medium">${recentRows}</tbody>
+            </table>
+        </div>
+    </div>`;
+
+    const labels = Object.keys(profile.powerups).sort((a, b) => profile.powerups[b].used - profile.powerups[a].used);
+    createMiniChart('chart-profile-powerups', labels, labels.map(i => profile.powerups[i].used), labels.map(i => powerupColor(i)));
+}
+
+async function copyProfileLink() {
+    const button = document.getElementById('copy-profile-link');
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        button.innerText = "✓ Copied";
+    } catch (error) {
+        // Clipboard access can be blocked, the URL bar still has the link
+        button.innerText = "Copy the URL from the address bar";
+    }
+    setTimeout(() => { button.innerText = "🔗 Copy link"; }, 2000);
+}
+
+// --- TEAM & PLAYER CARDS (LIFETIME) ---
+
+function renderPlayerCards(stats, records) {
     const container = document.getElementById('player-grids');
+    releaseCharts(container);
     container.innerHTML = ""; 
     GLOBAL_PLAYER_STATS = stats;
 
     Object.keys(stats).sort().forEach((player, index) => {
-        const safeName = player.replace(/[^a-zA-Z0-9]/g, '');
-        const cardId = `player-${safeName}`;
+        const cardId = `player-${index}`;
+        CARD_ENTITIES[cardId] = { name: player, type: 'player' };
         CARD_SORT_STATE[cardId] = { column: 'used', direction: 'desc' };
 
         const items = stats[player];
         const totalU = Object.values(items).reduce((a,b)=>a+b.used,0);
         const totalG = Object.values(items).reduce((a,b)=>a+b.goals,0);
+        const streaks = records.players.find(p => p.name === player);
 
-        const cardHtml = `
+        const cardHtml = html`
         <div class="bg-slate-800 p-6 rounded-xl border border-slate-700 shadow-lg flex flex-col h-full" id="${cardId}">
             <div class="flex justify-between items-center mb-6 border-b border-slate-700 pb-4">
-                <h3 class="text-xl font-bold text-white">${player}</h3>
+                <div class="flex flex-wrap items-center gap-2">
+                    <a href="${profileHref('player', player)}" class="text-xl font-bold text-white hover:text-indigo-400 transition" title="Open profile">${player} →</a>
+                    ${streaks ? renderCurrentStreak(streaks.current) : ''}
+                    ${renderBadges(playerBadges(records, player))}
+                </div>
                 <div class="flex gap-4 text-sm">
                     <span class="text-rblue font-mono font-bold">Used: ${totalU}</span>
                     <span class="text-rorange font-mono font-bold">Goals: ${totalG}</span>
@@ -403,23 +2561,26 @@ function renderPlayerCards(stats) {
             <div class="grid grid-cols-1 sm:grid-cols-2 gap-6 mb-6">
                 <div>
                     <h4 class="text-xs uppercase tracking-widest text-slate-400 mb-2 text-center">Activations</h4>
-                    <div class="h-48"><canvas id="chart-usage-${safeName}-${index}"></canvas></div>
+                    <div class="h-48"><canvas id="chart-usage-${index}"></canvas></div>
                 </div>
                 <div>
                     <h4 class="text-xs uppercase tracking-widest text-slate-400 mb-2 text-center">Goals Scored</h4>
-                    <div class="h-48"><canvas id="chart-goals-${safeName}-${index}"></canvas></div>
+                    <div class="h-48"><canvas id="chart-goals-${index}"></canvas></div>
                 </div>
             </div>
             <div class="mt-auto border-t border-slate-700 pt-4">
-                <h4 class="text-xs uppercase tracking-widest text-slate-500 mb-3">Detailed Stats</h4>
+                <div class="flex justify-between items-center mb-3">
+                    <h4 class="text-xs uppercase tracking-widest text-slate-500">Detailed Stats</h4>
+                    ${exportButtons(`tbody-${cardId}`)}
+                </div>
                 <div class="overflow-x-auto">
                     <table class="w-full text-left border-collapse">
                         <thead>
                             <tr class="text-xs text-slate-500 uppercase cursor-pointer select-none">
-                                <th class="pb-2 pl-2 font-normal hover:text-white transition" onclick="handleSort('${cardId}', 'name', 'player')">Powerup ↕</th>
-                                <th class="pb-2 text-center font-normal hover:text-white transition" onclick="handleSort('${cardId}', 'used', 'player')">Used ↕</th>
-                                <th class="pb-2 text-center font-normal hover:text-white transition" onclick="handleSort('${cardId}', 'goals', 'player')">Goals ↕</th>
-                                <th class="pb-2 text-center font-normal hover:text-white transition" onclick="handleSort('${cardId}', 'conv', 'player')">Conv. ↕</th>
+                                <th class="pb-2 pl-2 font-normal hover:text-white transition" data-action="handleSort" data-card="${cardId}" data-column="name">Powerup ↕</th>
+                                <th class="pb-2 text-center font-normal hover:text-white transition" data-action="handleSort" data-card="${cardId}" data-column="used">Used ↕</th>
+                                <th class="pb-2 text-center font-normal hover:text-white transition" data-action="handleSort" data-card="${cardId}" data-column="goals">Goals ↕</th>
+                                <th class="pb-2 text-center font-normal hover:text-white transition" data-action="handleSort" data-card="${cardId}" data-column="conv">Conv. ↕</th>
                             </tr>
                         </thead>
                         <tbody id="tbody-${cardId}"></tbody>
@@ -432,48 +2593,50 @@ function renderPlayerCards(stats) {
         const labels = Object.keys(items).sort((a,b) => items[b].used - items[a].used);
         const usageData = labels.map(i => items[i].used);
         const goalsData = labels.map(i => items[i].goals);
-        createMiniChart(`chart-usage-${safeName}-${index}`, labels, usageData, labels.map(i => POWERUP_COLORS[i] || DEFAULT_COLOR));
-        createMiniChart(`chart-goals-${safeName}-${index}`, labels, goalsData, labels.map(i => POWERUP_COLORS[i] || DEFAULT_COLOR));
+        lazyChart(`chart-usage-${index}`, () => createMiniChart(`chart-usage-${index}`, labels, usageData, labels.map(i => powerupColor(i))));
+        lazyChart(`chart-goals-${index}`, () => createMiniChart(`chart-goals-${index}`, labels, goalsData, labels.map(i => powerupColor(i))));
         renderTableBody(cardId, player, 'player');
     });
 }
 
 function renderTeamCards(stats) {
     const container = document.getElementById('team-grids');
+    releaseCharts(container);
     container.innerHTML = ""; 
     GLOBAL_TEAM_STATS = stats;
 
-    Object.keys(stats).sort().forEach((teamName) => {
-        const safeName = teamName.replace(/[^a-zA-Z0-9]/g, '');
-        const cardId = `team-${safeName}`;
+    Object.keys(stats).sort().forEach((teamName, index) => {
+        const cardId = `team-${index}`;
+        CARD_ENTITIES[cardId] = { name: teamName, type: 'team' };
         CARD_SORT_STATE[cardId] = { column: 'used', direction: 'desc' };
 
         const items = stats[teamName];
         const totalU = Object.values(items).reduce((a,b)=>a+b.used,0);
         const totalG = Object.values(items).reduce((a,b)=>a+b.goals,0);
 
-        const cardHtml = `
+        const cardHtml = html`
         <div class="bg-slate-800 p-6 rounded-xl border border-indigo-500/30 shadow-lg flex flex-col h-full" id="${cardId}">
             <div class="flex justify-between items-center mb-6 border-b border-slate-700 pb-4">
-                <h3 class="text-xl font-bold text-indigo-400 flex items-center gap-2">👥 ${teamName}</h3>
+                <a href="${profileHref('team', teamName)}" class="text-xl font-bold text-indigo-400 hover:text-indigo-300 flex items-center gap-2 transition" title="Open profile">👥 ${teamName} →</a>
                 <div class="flex gap-4 text-sm">
                     <span class="text-rblue font-mono font-bold">Used: ${totalU}</span>
                     <span class="text-rorange font-mono font-bold">Goals: ${totalG}</span>
                 </div>
             </div>
             <div class="grid grid-cols-1 sm:grid-cols-2 gap-6 mb-6">
-                <div class="h-48"><canvas id="chart-team-usage-${safeName}"></canvas></div>
-                <div class="h-48"><canvas id="chart-team-goals-${safeName}"></canvas></div>
+                <div class="h-48"><canvas id="chart-team-usage-${index}"></canvas></div>
+                <div class="h-48"><canvas id="chart-team-goals-${index}"></canvas></div>
             </div>
             <div class="mt-auto border-t border-slate-700 pt-4">
+                <div class="flex justify-end mb-3">${exportButtons(`tbody-${cardId}`)}</div>
                 <div class="overflow-x-auto">
                     <table class="w-full text-left border-collapse">
                         <thead>
                             <tr class="text-xs text-slate-500 uppercase cursor-pointer select-none">
-                                <th class="pb-2 pl-2 font-normal hover:text-white transition" onclick="handleSort('${cardId}', 'name', 'team')">Powerup ↕</th>
-                                <th class="pb-2 text-center font-normal hover:text-white transition" onclick="handleSort('${cardId}', 'used', 'team')">Used ↕</th>
-                                <th class="pb-2 text-center font-normal hover:text-white transition" onclick="handleSort('${cardId}', 'goals', 'team')">Goals ↕</th>
-                                <th class="pb-2 text-center font-normal hover:text-white transition" onclick="handleSort('${cardId}', 'conv', 'team')">Conv. ↕</th>
+                                <th class="pb-2 pl-2 font-normal hover:text-white transition" data-action="handleSort" data-card="${cardId}" data-column="name">Powerup ↕</th>
+                                <th class="pb-2 text-center font-normal hover:text-white transition" data-action="handleSort" data-card="${cardId}" data-column="used">Used ↕</th>
+                                <th class="pb-2 text-center font-normal hover:text-white transition" data-action="handleSort" data-card="${cardId}" data-column="goals">Goals ↕</th>
+                                <th class="pb-2 text-center font-normal hover:text-white transition" data-action="handleSort" data-card="${cardId}" data-column="conv">Conv. ↕</th>
                             </tr>
                         </thead>
                         <tbody id="tbody-${cardId}"></tbody>
@@ -484,12 +2647,52 @@ function renderTeamCards(stats) {
         container.insertAdjacentHTML('beforeend', cardHtml);
 
         const labels = Object.keys(items).sort((a,b) => items[b].used - items[a].used);
-        createMiniChart(`chart-team-usage-${safeName}`, labels, labels.map(i => items[i].used), labels.map(i => POWERUP_COLORS[i] || DEFAULT_COLOR));
-        createMiniChart(`chart-team-goals-${safeName}`, labels, labels.map(i => items[i].goals), labels.map(i => POWERUP_COLORS[i] || DEFAULT_COLOR));
+        lazyChart(`chart-team-usage-${index}`, () => createMiniChart(`chart-team-usage-${index}`, labels, labels.map(i => items[i].used), labels.map(i => powerupColor(i))));
+        lazyChart(`chart-team-goals-${index}`, () => createMiniChart(`chart-team-goals-${index}`, labels, labels.map(i => items[i].goals), labels.map(i => powerupColor(i))));
         renderTableBody(cardId, teamName, 'team');
     });
 }
 
+// --- LAZY CHARTS ---
+// Card charts are drawn when their canvas first comes near the viewport, not all up front
+const LAZY_CHART_MARGIN = '200px';
+let LAZY_CHARTS = {}; // canvasId -> draw function, until the canvas is seen
+let LAZY_CHART_OBSERVER = null;
+
+function lazyChart(canvasId, draw) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+    if (typeof IntersectionObserver === 'undefined') {
+        draw();
+        return;
+    }
+
+    if (!LAZY_CHART_OBSERVER) {
+        LAZY_CHART_OBSERVER = new IntersectionObserver(entries => {
+            entries.filter(entry => entry.isIntersecting).forEach(entry => {
+                const pending = LAZY_CHARTS[entry.target.id];
+                LAZY_CHART_OBSERVER.unobserve(entry.target);
+                delete LAZY_CHARTS[entry.target.id];
+                if (pending) pending();
+            });
+        }, { rootMargin: LAZY_CHART_MARGIN });
+    }
+    LAZY_CHARTS[canvasId] = draw;
+    LAZY_CHART_OBSERVER.observe(canvas);
+}
+
+// Called before a container is emptied: destroys its charts and forgets the ones never drawn
+function releaseCharts(container) {
+    container.querySelectorAll('canvas').forEach(canvas => {
+        if (GLOBAL_CHART_INSTANCES[canvas.id]) {
+            GLOBAL_CHART_INSTANCES[canvas.id].destroy();
+            delete GLOBAL_CHART_INSTANCES[canvas.id];
+        }
+        if (LAZY_CHART_OBSERVER) LAZY_CHART_OBSERVER.unobserve(canvas);
+        delete LAZY_CHARTS[canvas.id];
+    });
+}
+
 function createMiniChart(canvasId, labels, data, colors) {
     const ctx = document.getElementById(canvasId);
     if (!ctx) return;
@@ -512,8 +2715,89 @@ function createMiniChart(canvasId, labels, data, colors) {
     GLOBAL_CHART_INSTANCES[canvasId] = chart;
 }
 
+// --- EXPORT ---
+// Rows of every exportable table as last rendered, so downloads match the current sort and filters
+let EXPORT_TABLES = {};
+
+function registerExport(tableId, name, rows) {
+    EXPORT_TABLES[tableId] = { name, rows };
+}
+
+// CSV / JSON / PNG buttons for a table, PNG captures the charts of the panel around it
+function exportButtons(tableId) {
+    const button = 'text-xs text-slate-400 hover:text-white border border-slate-700 rounded px-2 py-0.5 transition';
+    return html`
+    <div class="flex gap-1">
+        <button data-action="exportTable" data-table="${tableId}" data-format="csv" class="${button}" title="Download as CSV">CSV</button>
+        <button data-action="exportTable" data-table="${tableId}" data-format="json" class="${button}" title="Download as JSON">JSON</button>
+        <button data-action="exportPanelPng" class="${button}" title="Download the charts as PNG">PNG</button>
+    </div>`;
+}
+
+function exportFileName(name, extension) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportTable(tableId, format) {
+    const table = EXPORT_TABLES[tableId];
+    if (!table) return;
+
+    const blob = format === 'csv'
+        ? new Blob([toCsv(table.rows)], { type: 'text/csv;charset=utf-8' })
+        : new Blob([JSON.stringify(table.rows, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, exportFileName(table.name, format));
+}
+
+// Draws every visible chart of the panel side by side under the panel title. Charts are
+// transparent, so the panel background is painted first to keep the light text readable.
+function exportPanelPng(button) {
+    const panel = button.closest('.rounded-xl');
+    const canvases = [...panel.querySelectorAll('canvas')]
+        .filter(c => GLOBAL_CHART_INSTANCES[c.id] && c.offsetParent !== null && c.width > 0);
+    if (canvases.length === 0) {
+        alert("There is no chart to export in this view.");
+        return;
+    }
+
+    const title = (panel.querySelector('h2, h3, a') || {}).innerText || 'chart';
+    const cleanTitle = title.replace(/\s*→$/, '').split('\n')[0].trim();
+    const scale = canvases[0].width / (canvases[0].clientWidth || canvases[0].width);
+    const pad = 24 * scale;
+    const titleHeight = 32 * scale;
+
+    const out = document.createElement('canvas');
+    out.width = canvases.reduce((sum, c) => sum + c.width, 0) + pad * (canvases.length + 1);
+    out.height = Math.max(...canvases.map(c => c.height)) + titleHeight + pad * 2;
+    const ctx = out.getContext('2d');
+    ctx.fillStyle = '#1e293b';
+    ctx.fillRect(0, 0, out.width, out.height);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `bold ${20 * scale}px sans-serif`;
+    ctx.textBaseline = 'top';
+    ctx.fillText(cleanTitle, pad, pad);
+
+    let x = pad;
+    canvases.forEach(c => {
+        ctx.drawImage(c, x, pad + titleHeight);
+        x += c.width + pad;
+    });
+    out.toBlob(blob => downloadBlob(blob, exportFileName(cleanTitle, 'png')), 'image/png');
+}
+
 // --- SORTING LOGIC ---
-function handleSort(cardId, column, type) {
+function handleSort(cardId, column) {
     const currentState = CARD_SORT_STATE[cardId];
     if (currentState.column === column) {
         currentState.direction = currentState.direction === 'asc' ? 'desc' : 'asc';
@@ -522,11 +2806,9 @@ function handleSort(cardId, column, type) {
         currentState.direction = column === 'name' ? 'asc' : 'desc';
     }
 
-    const stats = type === 'player' ? GLOBAL_PLAYER_STATS : GLOBAL_TEAM_STATS;
-    const entityName = Object.keys(stats).find(name => cardId.includes(name.replace(/[^a-zA-Z0-9]/g, '')));
-    
-    if (entityName) {
-        renderTableBody(cardId, entityName, type);
+    const entity = CARD_ENTITIES[cardId];
+    if (entity) {
+        renderTableBody(cardId, entity.name, entity.type);
         updateSortIcons(cardId, column, currentState.direction);
     }
 }
@@ -548,14 +2830,17 @@ function renderTableBody(cardId, entityName, type) {
         }
         return direction === 'asc' ? valA - valB : valB - valA;
     });
+    registerExport(`tbody-${cardId}`, `${entityName} powerups`, rows.map(row => ({
+        powerup: row.name, used: row.used, goals: row.goals, conversion_pct: Number(row.conv.toFixed(1))
+    })));
 
     tbody.innerHTML = rows.map(row => {
-        const filename = row.name.toLowerCase().replace(/[^a-z0-9]/g, "") + ".webp";
-        return `
+        const info = powerupInfo(row.name);
+        return html`
         <tr class="border-b border-slate-700/50 hover:bg-slate-700/30 text-sm transition">
             <td class="py-2 pl-2 flex items-center gap-2">
-                <img src="assets/${filename}" class="w-5 h-5 opacity-75" onerror="this.style.display='none'">
-                <span class="text-slate-300">${row.name}</span>
+                <img src="${info.icon}" class="w-5 h-5 opacity-75" data-fallback="hide">
+                <span class="text-slate-300">${info.label}</span>
             </td>
             <td class="text-center font-mono text-rblue">${row.used}</td>
             <td class="text-center font-mono text-rorange">${row.goals}</td>
@@ -0,0 +1,521 @@
+// --- DATA SOURCES ---
+// Every source hands the dashboard the same raw rows, so it doesn't care where they come from:
+//   label                      short description shown in the nav
+//   load()                     -> Promise<{ events, matches }>
+//   subscribe(handlers)        live changes, handlers = { onInsert(table, row), onUpdate(table, row),
+//                              onDelete(table, id), onStatus(state) }
+//                              returns a function that stops the subscription (optional)
+//   rebuild()                  drops any local copy and loads everything again (optional)
+//   aliases                    where player aliases are kept (optional, see PLAYER ALIASES)
+//   powerups()                 -> Promise<catalog rows> (optional, see POWERUP CATALOG)
+//   auth                       admin sign-in (optional, see ADMIN ACCESS)
+//   edit                       row changes for signed-in admins (optional, see ADMIN ACCESS)
+
+const EVENTS_TABLE = 'powerup_events';
+const MATCHES_TABLE = 'match_results';
+const ALIASES_TABLE = 'player_aliases';
+const POWERUPS_TABLE = 'powerup_catalog';
+
+// Picks the source from the page URL:
+//   ?data=export.json                      JSON export ({ powerup_events: [...], match_results: [...] })
+//   ?events=events.csv&matches=matches.csv CSV exports of both tables
+//   (nothing)                              Supabase, using the credentials from config.js
+function createDataSourceFromLocation(location) {
+    const params = new URLSearchParams(location.search);
+    if (params.get('data')) return createJsonSource(params.get('data'));
+    if (params.get('events') && params.get('matches')) {
+        return createCsvSource(params.get('events'), params.get('matches'));
+    }
+    if (typeof CONFIG !== 'undefined' && window.supabase) {
+        return createSupabaseSource(CONFIG.SUPABASE_URL, CONFIG.SUPABASE_KEY);
+    }
+    return null;
+}
+
+// --- SUPABASE SOURCE ---
+// PostgREST caps every response (1000 rows by default), so tables are read page by page.
+// Rows are kept in IndexedDB and later visits only ask for rows newer than the newest cached one.
+// Rows inserted with an older created_at (manual matches) or deleted while the page was closed are
+// missed by that, so a table whose row count or highest id disagrees with the server is read again.
+const PAGE_SIZE = 1000;
+const CACHE_DB_NAME = 'rumble-cache';
+const CACHE_DB_VERSION = 1;
+const CACHE_TABLES = [EVENTS_TABLE, MATCHES_TABLE];
+
+function createSupabaseSource(url, key) {
+    // FIX: We rename this variable to 'db' to avoid conflict with the library name 'supabase'
+    const db = window.supabase.createClient(url, key);
+    let cache = null;
+
+    async function fetchAllRows(table, since) {
+        const rows = [];
+        for (let from = 0; ; from += PAGE_SIZE) {
+            let query = db.from(table).select('*');
+            if (since) query = query.gte('created_at', since);
+
+            const { data, error } = await query
+                .order('created_at', { ascending: true })
+                .order('id', { ascending: true })
+                .range(from, from + PAGE_SIZE - 1);
+            if (error) throw error;
+
+            rows.push(...data);
+            if (data.length < PAGE_SIZE) return rows;
+        }
+    }
+
+    async function loadTable(table) {
+        const cached = cache ? await cacheReadAll(cache, table) : [];
+        const newest = cached.reduce((max, r) => max === null || r.created_at > max ? r.created_at : max, null);
+
+        // gte instead of gt: rows sharing the newest timestamp may not all be cached yet
+        const fresh = await fetchAllRows(table, newest);
+        if (cache && fresh.length > 0) await cacheWrite(cache, table, fresh);
+
+        const byId = new Map(cached.map(r => [r.id, r]));
+        fresh.forEach(r => byId.set(r.id, r));
+        let rows = [...byId.values()];
+
+        if (cache && cached.length > 0 && !(await matchesServer(table, rows))) {
+            rows = await fetchAllRows(table, null);
+            await cacheClear(cache, table);
+            await cacheWrite(cache, table, rows);
+        }
+        return rows.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    }
+
+    async function matchesServer(table, rows) {
+        const [counted, newest] = await Promise.all([
+            db.from(table).select('id', { count: 'exact', head: true }),
+            db.from(table).select('id').order('id', { ascending: false }).limit(1)
+        ]);
+        if (counted.error) throw counted.error;
+        if (newest.error) throw newest.error;
+
+        const maxId = rows.reduce((max, r) => max === null || r.id > max ? r.id : max, null);
+        const serverMaxId = newest.data.length > 0 ? newest.data[0].id : null;
+        return counted.count === rows.length && serverMaxId === maxId;
+    }
+
+    return {
+        label: 'Supabase',
+        client: db,
+        aliases: createSupabaseAliasStore(db),
+        powerups: () => loadSupabasePowerupCatalog(db),
+        auth: createSupabaseAuth(db),
+
+        // Changed rows go into the local cache too, so they survive a reload without a rebuild
+        edit: {
+            async insert(table, rows) {
+                const { data, error } = await db.from(table).insert(rows).select();
+                if (error) throw error;
+                if (cache) await cacheWrite(cache, table, data);
+                return data;
+            },
+
+            async update(table, id, changes) {
+                const { data, error } = await db.from(table).update(changes).eq('id', id).select();
+                if (error) throw error;
+                if (data.length === 0) throw new Error(`Row ${id} of ${table} was not changed, is this account an admin?`);
+                if (cache) await cacheWrite(cache, table, data);
+                return data[0];
+            },
+
+            async remove(table, ids) {
+                const { data, error } = await db.from(table).delete().in('id', ids).select('id');
+                if (error) throw error;
+                if (data.length < ids.length) throw new Error(`Only ${data.length} of ${ids.length} rows of ${table} were deleted, is this account an admin?`);
+                if (cache) await cacheDelete(cache, table, ids);
+            }
+        },
+
+        async load() {
+            if (!cache) cache = await openCache();
+            const [events, matches] = await Promise.all(CACHE_TABLES.map(table => loadTable(table)));
+            return { events, matches };
+        },
+
+        async rebuild() {
+            if (cache) await Promise.all(CACHE_TABLES.map(table => cacheClear(cache, table)));
+            return this.load();
+        },
+
+        // Admin corrections arrive as UPDATE and DELETE, so other open dashboards follow them too
+        subscribe({ onInsert, onUpdate, onDelete, onStatus }) {
+            const keepCached = (action) => {
+                if (cache) action().catch(error => console.warn("Could not cache live row:", error));
+            };
+            const handleChange = (table) => (payload) => {
+                if (payload.eventType === 'DELETE') {
+                    keepCached(() => cacheDelete(cache, table, [payload.old.id]));
+                    onDelete(table, payload.old.id);
+                    return;
+                }
+                keepCached(() => cacheWrite(cache, table, [payload.new]));
+                if (payload.eventType === 'UPDATE') onUpdate(table, payload.new);
+                else onInsert(table, payload.new);
+            };
+
+            const channel = db.channel('rumble-live')
+                .on('postgres_changes', { event: '*', schema: 'public', table: EVENTS_TABLE }, handleChange(EVENTS_TABLE))
+                .on('postgres_changes', { event: '*', schema: 'public', table: MATCHES_TABLE }, handleChange(MATCHES_TABLE))
+                .subscribe((status) => {
+                    // The client retries on its own after errors and timeouts
+                    if (status === 'SUBSCRIBED') onStatus('connected');
+                    else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') onStatus(navigator.onLine ? 'reconnecting' : 'offline');
+                    else if (status === 'CLOSED') onStatus('offline');
+                });
+
+            return () => db.removeChannel(channel);
+        }
+    };
+}
+
+// Resolves to null when IndexedDB is unavailable (e.g. private browsing), which disables caching
+function openCache() {
+    return new Promise((resolve) => {
+        if (!window.indexedDB) return resolve(null);
+
+        const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            CACHE_TABLES.forEach(table => {
+                if (!request.result.objectStoreNames.contains(table)) {
+                    request.result.createObjectStore(table, { keyPath: 'id' });
+                }
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn("Local cache unavailable:", request.error);
+            resolve(null);
+        };
+    });
+}
+
+function cacheRequest(cache, table, mode, action) {
+    return new Promise((resolve, reject) => {
+        const tx = cache.transaction(table, mode);
+        const result = action(tx.objectStore(table));
+        tx.oncomplete = () => resolve(result && result.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function cacheReadAll(cache, table) {
+    return cacheRequest(cache, table, 'readonly', store => store.getAll());
+}
+
+function cacheWrite(cache, table, rows) {
+    return cacheRequest(cache, table, 'readwrite', store => rows.forEach(r => store.put(r)));
+}
+
+function cacheDelete(cache, table, ids) {
+    return cacheRequest(cache, table, 'readwrite', store => ids.forEach(id => store.delete(id)));
+}
+
+function cacheClear(cache, table) {
+    return cacheRequest(cache, table, 'readwrite', store => store.clear());
+}
+
+// --- PLAYER ALIASES ---
+// An alias store keeps { alias, canonical } rows:
+//   label                      where the rows live, shown on the admin screen
+//   load()                     -> Promise<rows>
+//   save(alias, canonical)     adds or replaces one alias
+//   remove(alias)              deletes one alias
+// In Supabase they live in their own table:
+//   create table player_aliases (alias text primary key, canonical text not null);
+// Only signed-in admins may change them there (see ADMIN ACCESS).
+function createSupabaseAliasStore(db) {
+    return {
+        label: `Supabase table ${ALIASES_TABLE}`,
+
+        async load() {
+            const { data, error } = await db.from(ALIASES_TABLE).select('alias, canonical');
+            if (error) throw error;
+            return data;
+        },
+
+        async save(alias, canonical) {
+            const { error } = await db.from(ALIASES_TABLE).upsert({ alias, canonical }, { onConflict: 'alias' });
+            if (error) throw error;
+        },
+
+        async remove(alias) {
+            const { error } = await db.from(ALIASES_TABLE).delete().eq('alias', alias);
+            if (error) throw error;
+        }
+    };
+}
+
+// Without Supabase, aliases.json next to the page is the shared config and edits stay in this
+// browser until the file is replaced with the downloaded copy
+const ALIASES_STORAGE_KEY = 'rumble-aliases';
+
+function createLocalAliasStore() {
+    const read = () => JSON.parse(localStorage.getItem(ALIASES_STORAGE_KEY) || 'null');
+    const write = (rows) => localStorage.setItem(ALIASES_STORAGE_KEY, JSON.stringify(rows));
+
+    return {
+        label: 'this browser (aliases.json)',
+
+        async load() {
+            const stored = read();
+            if (stored) return stored;
+            try {
+                return JSON.parse(await fetchText('aliases.json'));
+            } catch (error) {
+                return [];
+            }
+        },
+
+        async save(alias, canonical) {
+            const rows = (await this.load()).filter(r => r.alias !== alias);
+            write([...rows, { alias, canonical }]);
+        },
+
+        async remove(alias) {
+            write((await this.load()).filter(r => r.alias !== alias));
+        }
+    };
+}
+
+// --- ADMIN ACCESS ---
+// Everyone reads with the anon key from config.js; only signed-in admins may change rows.
+// Supabase enforces that with row level security, the dashboard merely hides the controls:
+//   create table dashboard_admins (user_id uuid primary key references auth.users);
+//   alter table match_results enable row level security;
+//   create policy "Anyone reads" on match_results for select using (true);
+//   create policy "Admins write" on match_results for all to authenticated
+//     using (auth.uid() in (select user_id from dashboard_admins))
+//     with check (auth.uid() in (select user_id from dashboard_admins));
+//   -- and the same two policies on powerup_events, player_aliases and powerup_catalog,
+//   -- which every visitor reads but only admins may change
+// Admin accounts are created in the Supabase console (Authentication > Users) and added to dashboard_admins.
+//   user()                     -> Promise<signed-in user or null>
+//   signIn(email, password)    -> Promise<user>
+//   signOut()
+function createSupabaseAuth(db) {
+    return {
+        async user() {
+            const { data, error } = await db.auth.getSession();
+            if (error) throw error;
+            return data.session ? data.session.user : null;
+        },
+
+        async signIn(email, password) {
+            const { data, error } = await db.auth.signInWithPassword({ email, password });
+            if (error) throw error;
+            return data.user;
+        },
+
+        async signOut() {
+            const { error } = await db.auth.signOut();
+            if (error) throw error;
+        }
+    };
+}
+
+// --- POWERUP CATALOG ---
+// Rows of { name, label, color, icon, category, aliases }, see normalizePowerupCatalog in stats.js.
+// Supabase keeps them in a table:
+//   create table powerup_catalog (name text primary key, label text, color text, icon text,
+//                                 category text, aliases text[] not null default '{}');
+// and every other source reads powerups.json next to the page
+async function loadSupabasePowerupCatalog(db) {
+    const { data, error } = await db.from(POWERUPS_TABLE).select('name, label, color, icon, category, aliases');
+    if (error) throw error;
+    return data;
+}
+
+async function loadLocalPowerupCatalog() {
+    return JSON.parse(await fetchText('powerups.json'));
+}
+
+// --- OFFLINE SOURCES (JSON / CSV EXPORTS) ---
+function createJsonSource(url) {
+    return {
+        label: url.split('/').pop(),
+        async load() {
+            return tablesFromJson(await fetchText(url));
+        }
+    };
+}
+
+function createCsvSource(eventsUrl, matchesUrl) {
+    return {
+        label: 'CSV export',
+        async load() {
+            const [eventsText, matchesText] = await Promise.all([fetchText(eventsUrl), fetchText(matchesUrl)]);
+            return normalizeTables({ events: parseCsv(eventsText), matches: parseCsv(matchesText) });
+        }
+    };
+}
+
+// Files picked in the browser: one .json export, or the two table .csv exports in any order
+function createFileSource(files) {
+    return {
+        label: files.map(f => f.name).join(', '),
+        async load() {
+            const texts = await Promise.all(files.map(f => f.text()));
+            const jsonIndex = files.findIndex(f => f.name.toLowerCase().endsWith('.json'));
+            if (jsonIndex !== -1) return tablesFromJson(texts[jsonIndex]);
+
+            const tables = { events: [], matches: [] };
+            texts.forEach(text => {
+                const rows = parseCsv(text);
+                if (rows.length === 0) return;
+                if ('event_type' in rows[0]) tables.events.push(...rows);
+                else if ('winning_team' in rows[0]) tables.matches.push(...rows);
+            });
+            return normalizeTables(tables);
+        }
+    };
+}
+
+async function fetchText(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not load ${url} (HTTP ${response.status})`);
+    return response.text();
+}
+
+// Accepts { powerup_events, match_results } (table names) or { events, matches }
+function tablesFromJson(text) {
+    const json = JSON.parse(text);
+    return normalizeTables({
+        events: json[EVENTS_TABLE] || json.events || [],
+        matches: json[MATCHES_TABLE] || json.matches || []
+    });
+}
+
+// Exports store everything as text, so numbers and player lists are converted back
+// to the shapes Supabase returns
+function normalizeTables({ events, matches }) {
+    return {
+        events: events.map(normalizeEventRow),
+        matches: matches.map(normalizeMatchRow)
+    };
+}
+
+function normalizeEventRow(row) {
+    return { ...row, id: toNumber(row.id), team_num: toNumber(row.team_num) };
+}
+
+function normalizeMatchRow(row) {
+    return {
+        ...row,
+        id: toNumber(row.id),
+        winning_team: toNumber(row.winning_team),
+        team0_players: parsePlayerList(row.team0_players),
+        team1_players: parsePlayerList(row.team1_players)
+    };
+}
+
+function toNumber(value) {
+    if (value === '' || value === null || value === undefined) return value;
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+}
+
+// Player lists arrive as arrays (JSON), JSON text ('["A","B"]') or Postgres array literals ('{A,"B C"}')
+function parsePlayerList(value) {
+    if (Array.isArray(value)) return value;
+    if (!value) return [];
+
+    const text = String(value).trim();
+    if (text.startsWith('[')) return JSON.parse(text);
+    if (text.startsWith('{') && text.endsWith('}')) {
+        const inner = text.slice(1, -1);
+        return inner === '' ? [] : parsePostgresArray(inner);
+    }
+    return [text];
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, doubled quotes and line breaks
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else field += ch;
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [header, ...rows] = records.filter(r => r.length > 1 || r[0] !== '');
+    if (!header) return [];
+    return rows.map(r => Object.fromEntries(header.map((name, i) => [name.trim(), r[i] !== undefined ? r[i] : ''])));
+}
+
+// Writes rows back out as RFC 4180 CSV, columns in the order of the first row's keys.
+// Text starting with = + - or @ gets a leading ' so spreadsheets don't run a player name as a
+// formula; numbers are left alone, a negative goal difference is not a formula.
+function toCsv(rows) {
+    if (rows.length === 0) return '';
+    const columns = Object.keys(rows[0]);
+    const field = (value) => {
+        let text = value === null || value === undefined ? '' : Array.isArray(value) ? value.join(' & ') : String(value);
+        if (typeof value !== 'number' && /^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...rows.map(r => columns.map(c => r[c]))]
+        .map(values => values.map(field).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+// Inside a Postgres array literal, quoted elements escape quotes and backslashes with a backslash
+function parsePostgresArray(inner) {
+    const items = [];
+    let item = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < inner.length; i++) {
+        const ch = inner[i];
+        if (inQuotes) {
+            if (ch === '\\') item += inner[++i];
+            else if (ch === '"') inQuotes = false;
+            else item += ch;
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            items.push(item.trim());
+            item = '';
+        } else {
+            item += ch;
+        }
+    }
+    items.push(item.trim());
+    return items;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseCsv,
+        toCsv,
+        parsePlayerList,
+        tablesFromJson,
+        normalizeTables
+    };
+}
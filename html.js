@@ -0,0 +1,44 @@
+// --- SAFE HTML ---
+// Markup is built with html`...`: every interpolated value is escaped, unless it is markup
+// that html`` built itself. Arrays render item by item, null/undefined/false render nothing.
+// So names from the database can never close an attribute or open a tag.
+class SafeHtml {
+    constructor(text) {
+        this.text = text;
+    }
+
+    toString() {
+        return this.text;
+    }
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, ch => HTML_ESCAPES[ch]);
+}
+
+function renderHtmlValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.text;
+    if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((out, text, i) => out + text + (i < values.length ? renderHtmlValue(values[i]) : ''), ''));
+}
+
+// Like Array.join for markup, the separator is escaped like any other text
+function joinHtml(items, separator) {
+    return new SafeHtml(items.map(renderHtmlValue).join(escapeHtml(separator)));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SafeHtml,
+        escapeHtml,
+        html,
+        joinHtml
+    };
+}
@@ -0,0 +1,34 @@
+// --- STATS WORKER ---
+// Runs the aggregations of STATS_TASKS off the main thread so filters, playday switches and picks
+// stay responsive. The page posts the aliased rows once whenever they change ({ type: 'rows' }),
+// then one { type: 'task', task, params } per aggregation with the season and filters to scope them by.
+importScripts('stats.js');
+
+let ROWS = { events: [], matches: [] };
+// One render asks for several tasks with the same scope, so the scoped rows are kept for the next
+let SCOPED = { key: null, rows: null };
+
+function scopedRows(season, filters) {
+    const key = JSON.stringify({ season, filters });
+    if (SCOPED.key !== key) {
+        const seasonRows = season ? filterBySeason(ROWS.events, ROWS.matches, season) : ROWS;
+        SCOPED = { key, rows: applyFilters(seasonRows.events, seasonRows.matches, filters) };
+    }
+    return SCOPED.rows;
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    if (message.type === 'rows') {
+        ROWS = { events: message.events, matches: message.matches };
+        SCOPED = { key: null, rows: null };
+        return;
+    }
+
+    try {
+        const result = STATS_TASKS[message.task](scopedRows(message.season, message.filters), ROWS, message.params);
+        self.postMessage({ id: message.id, result });
+    } catch (error) {
+        self.postMessage({ id: message.id, error: error.message });
+    }
+};
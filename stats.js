@@ -0,0 +1,1759 @@
+// --- STATS CORE ---
+// Pure aggregation over raw `powerup_events` / `match_results` rows.
+// Nothing in here touches the DOM or the network, so it can be unit tested with fixture data
+// (see test/) and loaded as a plain <script> by the dashboard.
+
+// Roster -> team name, independent of the order the tracker stored the players in
+function teamKey(players) {
+    return [...(players || [])].sort().join(" & ");
+}
+
+// --- PLAYER ALIASES ---
+// Alias rows ({ alias, canonical }) merge raw player names into one player, e.g. an old
+// in-game account or a typo. Chains (A -> B -> C) resolve to the end, cycles are dropped.
+function normalizeAliases(rows) {
+    const direct = {};
+    (rows || []).forEach(r => {
+        const alias = r && String(r.alias || '').trim();
+        const canonical = r && String(r.canonical || '').trim();
+        if (alias && canonical && alias !== canonical) direct[alias] = canonical;
+    });
+
+    const aliases = {};
+    Object.keys(direct).forEach(alias => {
+        const seen = new Set([alias]);
+        let name = direct[alias];
+        while (direct[name] && !seen.has(name)) {
+            seen.add(name);
+            name = direct[name];
+        }
+        if (!seen.has(name)) aliases[alias] = name;
+    });
+    return aliases;
+}
+
+// Renames players in every row. Renamed events keep the recorded name in raw_player_name.
+function applyAliases(events, matches, aliases) {
+    if (Object.keys(aliases).length === 0) return { events, matches };
+    const rename = (name) => aliases[name] || name;
+    // Two accounts of one person on the same team count once
+    const renameRoster = (players) => [...new Set((players || []).map(rename))];
+
+    return {
+        events: events.map(e => aliases[e.player_name]
+            ? { ...e, player_name: aliases[e.player_name], raw_player_name: e.player_name }
+            : e),
+        matches: matches.map(m => ({
+            ...m,
+            team0_players: renameRoster(m.team0_players),
+            team1_players: renameRoster(m.team1_players)
+        }))
+    };
+}
+
+function summarizePlayers(events, matches) {
+    const summary = {};
+    const entry = (name) => summary[name] || (summary[name] = { name, games: 0, wins: 0, goals: 0, activations: 0 });
+    matches.forEach(m => {
+        const winners = m.winning_team === 0 ? m.team0_players || [] : m.winning_team === 1 ? m.team1_players || [] : [];
+        // A merge can put one player on both sides of a game, it still counts once
+        new Set([...(m.team0_players || []), ...(m.team1_players || [])]).forEach(name => {
+            entry(name).games++;
+            if (winners.includes(name)) entry(name).wins++;
+        });
+    });
+    events.forEach(e => {
+        if (e.event_type === 'Goal') entry(e.player_name).goals++;
+        else if (e.event_type === 'Activation') entry(e.player_name).activations++;
+    });
+    return summary;
+}
+
+// What changes when the aliases go from current to next: the affected players before and
+// after, and how many distinct duos there are either way
+function previewAliases(events, matches, current, next) {
+    const rawNames = new Set([
+        ...events.map(e => e.player_name),
+        ...matches.flatMap(m => [...(m.team0_players || []), ...(m.team1_players || [])]),
+        ...Object.keys(current), ...Object.keys(next)
+    ]);
+    const affected = new Set();
+    rawNames.forEach(raw => {
+        const from = current[raw] || raw;
+        const to = next[raw] || raw;
+        if (from !== to) { affected.add(from); affected.add(to); }
+    });
+
+    const side = (aliases) => {
+        const renamed = applyAliases(events, matches, aliases);
+        const summary = summarizePlayers(renamed.events, renamed.matches);
+        const duos = new Set(renamed.matches.flatMap(m => [m.team0_players, m.team1_players].filter(t => t.length > 1).map(teamKey)));
+        return {
+            players: [...affected].filter(name => summary[name]).map(name => summary[name]).sort((a, b) => b.games - a.games || a.name.localeCompare(b.name)),
+            duos: duos.size
+        };
+    };
+    return { before: side(current), after: side(next) };
+}
+
+// --- POWERUP CATALOG ---
+// Catalog rows describe each powerup: { name, label, color, icon, category, aliases }.
+// name is what the tracker logs, aliases are other logged names for the same powerup
+// (e.g. from before a rename). Anything else is optional and gets a default.
+const POWERUP_DEFAULT_COLOR = "#94a3b8";
+
+function powerupIconPath(name) {
+    return `assets/${String(name).toLowerCase().replace(/[^a-z0-9]/g, "")}.webp`;
+}
+
+// -> { powerups: { name: entry }, order: [names in catalog order], aliases: { logged name: name } }
+function normalizePowerupCatalog(rows) {
+    const catalog = { powerups: {}, order: [], aliases: {} };
+    (rows || []).forEach(r => {
+        const name = r && String(r.name || '').trim();
+        if (!name || catalog.powerups[name]) return;
+        catalog.powerups[name] = {
+            name,
+            label: r.label || name,
+            color: r.color || POWERUP_DEFAULT_COLOR,
+            icon: r.icon || powerupIconPath(name),
+            category: r.category || null,
+            aliases: (r.aliases || []).map(a => String(a).trim()).filter(a => a && a !== name)
+        };
+        catalog.order.push(name);
+    });
+    // A catalog name always wins over another entry's alias
+    catalog.order.forEach(name => catalog.powerups[name].aliases.forEach(alias => {
+        if (!catalog.powerups[alias] && !catalog.aliases[alias]) catalog.aliases[alias] = name;
+    }));
+    return catalog;
+}
+
+// Renames aliased powerups to their catalog name, keeping the logged one in raw_powerup_name
+function applyPowerupCatalog(events, catalog) {
+    if (Object.keys(catalog.aliases).length === 0) return events;
+    return events.map(e => catalog.aliases[e.powerup_name]
+        ? { ...e, powerup_name: catalog.aliases[e.powerup_name], raw_powerup_name: e.powerup_name }
+        : e);
+}
+
+// Powerups in the events that the catalog doesn't know, most used first
+function findUnknownPowerups(events, catalog) {
+    const unknown = {};
+    events.forEach(e => {
+        const name = e.powerup_name;
+        if (!name || name === 'None' || catalog.powerups[name] || catalog.aliases[name]) return;
+        const entry = unknown[name] || (unknown[name] = { name, events: 0, firstSeen: e.created_at, lastSeen: e.created_at });
+        entry.events++;
+        if (e.created_at < entry.firstSeen) entry.firstSeen = e.created_at;
+        if (e.created_at > entry.lastSeen) entry.lastSeen = e.created_at;
+    });
+    return Object.values(unknown).sort((a, b) => b.events - a.events || a.name.localeCompare(b.name));
+}
+
+// --- POWERUP STATS ---
+function calculatePowerupStats(events) {
+    const totalUsage = {};
+    const playerStats = {};
+    const allPlayers = [...new Set(events.map(e => e.player_name))];
+
+    // Initialize for all players to ensure they appear in charts
+    allPlayers.forEach(pName => {
+        playerStats[pName] = {};
+    });
+
+    events.forEach(e => {
+        const pName = e.player_name;
+        const pItem = e.powerup_name;
+
+        if (!playerStats[pName][pItem]) playerStats[pName][pItem] = { used: 0, goals: 0 };
+
+        if (e.event_type === 'Activation') {
+            totalUsage[pItem] = (totalUsage[pItem] || 0) + 1;
+            playerStats[pName][pItem].used++;
+        } else if (e.event_type === 'Goal' && pItem !== 'None') {
+            playerStats[pName][pItem].goals++;
+        }
+    });
+    return { totalUsage, playerStats };
+}
+
+function calculateTeamStatsByEvent(events, matches) {
+    const gameToTeams = {};
+    matches.forEach(m => {
+        const team0 = teamKey(m.team0_players) || "Unknown";
+        const team1 = teamKey(m.team1_players) || "Unknown";
+        gameToTeams[m.game_id] = { 0: team0, 1: team1 };
+    });
+
+    const teamStats = {};
+    const allTeams = [...new Set(Object.values(gameToTeams).flatMap(g => Object.values(g)))];
+
+    // Initialize for all teams to ensure they appear
+    allTeams.forEach(teamName => {
+        if(teamName !== "Unknown") teamStats[teamName] = {};
+    });
+
+    events.forEach(e => {
+        const gameMap = gameToTeams[e.game_id];
+        if (!gameMap) return;
+
+        const teamName = gameMap[e.team_num];
+        if (!teamName || teamName === "Unknown") return;
+
+        const pItem = e.powerup_name;
+
+        if (!teamStats[teamName][pItem]) teamStats[teamName][pItem] = { used: 0, goals: 0 };
+
+        if (e.event_type === 'Activation') {
+            teamStats[teamName][pItem].used++;
+        } else if (e.event_type === 'Goal' && pItem !== 'None') {
+            teamStats[teamName][pItem].goals++;
+        }
+    });
+    return teamStats;
+}
+
+// --- SCORERS ---
+// Format: [["PlayerName", { total, rumble }], ...] sorted by goals
+function calculateScorerStats(events) {
+    const playerStats = {};
+    [...new Set(events.map(e => e.player_name))].forEach(p => {
+        playerStats[p] = { total: 0, rumble: 0 };
+    });
+
+    events.forEach(e => {
+        if (e.event_type === 'Goal') {
+            playerStats[e.player_name].total++;
+            if (e.powerup_name !== 'None') playerStats[e.player_name].rumble++;
+        }
+    });
+
+    return Object.entries(playerStats).sort((a, b) => b[1].total - a[1].total);
+}
+
+// --- DUOS & RIVALRIES ---
+function calculateDuoStats(matches) {
+    const teamsMap = {}; // Key: "PlayerA & PlayerB", Value: {wins, losses, games}
+
+    matches.forEach(match => {
+        // A game without a result is no win or loss for either side
+        if (match.winning_team !== 0 && match.winning_team !== 1) return;
+        const processTeam = (players, isWinner) => {
+            if (!players || players.length === 0) return;
+            const teamId = teamKey(players);
+            if (!teamsMap[teamId]) teamsMap[teamId] = { wins: 0, losses: 0, games: 0 };
+
+            teamsMap[teamId].games++;
+            if (isWinner) teamsMap[teamId].wins++;
+            else teamsMap[teamId].losses++;
+        };
+        processTeam(match.team0_players, match.winning_team === 0);
+        processTeam(match.team1_players, match.winning_team === 1);
+    });
+
+    return Object.entries(teamsMap)
+        .map(([name, stats]) => ({ name, ...stats }))
+        .sort((a, b) => b.games - a.games);
+}
+
+// Team names within a rivalry are sorted, so "A vs B" and "B vs A" are the same rivalry
+function calculateRivalries(matches) {
+    const rivalries = {};
+    matches.forEach(m => {
+        const t0Name = teamKey(m.team0_players);
+        const t1Name = teamKey(m.team1_players);
+        if (!t0Name || !t1Name || (m.winning_team !== 0 && m.winning_team !== 1)) return;
+
+        const [teamA, teamB] = [t0Name, t1Name].sort();
+        const rivalryKey = `${teamA} vs ${teamB}`;
+        if (!rivalries[rivalryKey]) {
+            rivalries[rivalryKey] = { teamA, teamB, winsA: 0, winsB: 0, games: 0 };
+        }
+        rivalries[rivalryKey].games++;
+        const winnerName = m.winning_team === 0 ? t0Name : t1Name;
+        if (winnerName === teamA) rivalries[rivalryKey].winsA++;
+        else rivalries[rivalryKey].winsB++;
+    });
+
+    return Object.values(rivalries).sort((a, b) => b.games - a.games);
+}
+
+// --- HEAD TO HEAD ---
+// kind 'team': sides are team names ("A & B"), kind 'player': sides are single players.
+// Returns which side of the match (0/1) the given team or player was on, or null.
+function sideOf(match, name, kind) {
+    const rosters = [match.team0_players || [], match.team1_players || []];
+    const index = rosters.findIndex(r => kind === 'team' ? teamKey(r) === name : r.includes(name));
+    return index === -1 ? null : index;
+}
+
+// Everyone the team or player has faced, most frequent opponent first
+function calculateOpponents(matches, name, kind) {
+    const counts = {};
+    matches.forEach(m => {
+        const side = sideOf(m, name, kind);
+        if (side === null) return;
+        const roster = side === 0 ? m.team1_players : m.team0_players;
+        const opponents = kind === 'team' ? [teamKey(roster)] : (roster || []);
+        opponents.filter(Boolean).forEach(o => counts[o] = (counts[o] || 0) + 1);
+    });
+    return Object.entries(counts)
+        .map(([opponent, games]) => ({ name: opponent, games }))
+        .sort((a, b) => b.games - a.games || a.name.localeCompare(b.name));
+}
+
+// Record, goals and powerup usage of side A against side B, only counting finished games where they met.
+// For players, goals and powerups are the player's own, for teams the whole team's.
+function calculateHeadToHead(events, matches, nameA, nameB, kind) {
+    const result = {
+        games: 0, winsA: 0, winsB: 0, goalsA: 0, goalsB: 0,
+        powerupsA: {}, powerupsB: {}, meetings: []
+    };
+    const meetingsById = {};
+
+    matches.forEach(m => {
+        const sideA = sideOf(m, nameA, kind);
+        const sideB = sideOf(m, nameB, kind);
+        if (sideA === null || sideB === null || sideA === sideB) return;
+        if (m.winning_team !== 0 && m.winning_team !== 1) return;
+
+        const winner = m.winning_team === sideA ? 'A' : 'B';
+        const meeting = { game_id: m.game_id, created_at: m.created_at, sideA, winner, goalsA: 0, goalsB: 0 };
+        meetingsById[m.game_id] = meeting;
+        result.meetings.push(meeting);
+        result.games++;
+        if (winner === 'A') result.winsA++;
+        if (winner === 'B') result.winsB++;
+    });
+
+    events.forEach(e => {
+        const meeting = meetingsById[e.game_id];
+        if (!meeting || (e.team_num !== 0 && e.team_num !== 1)) return;
+
+        const isSideA = e.team_num === meeting.sideA;
+        if (kind === 'player' && e.player_name !== (isSideA ? nameA : nameB)) return;
+
+        const powerups = isSideA ? result.powerupsA : result.powerupsB;
+        const item = e.powerup_name;
+        if (e.event_type === 'Activation') {
+            if (!powerups[item]) powerups[item] = { used: 0, goals: 0 };
+            powerups[item].used++;
+        } else if (e.event_type === 'Goal') {
+            if (isSideA) { meeting.goalsA++; result.goalsA++; }
+            else { meeting.goalsB++; result.goalsB++; }
+            if (item !== 'None') {
+                if (!powerups[item]) powerups[item] = { used: 0, goals: 0 };
+                powerups[item].goals++;
+            }
+        }
+    });
+
+    // Most recent meeting first
+    result.meetings.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    return result;
+}
+
+// The matchup explorer for one pick { kind, a, b, top }: the names side A can be, side A's
+// opponents and the head-to-head of the two. A missing or unknown side A becomes `top`, the most
+// played rivalry ({ teamA, teamB }, teams only), or else the first name; a side B that never met
+// side A becomes its most frequent opponent.
+function calculateMatchup(events, matches, pick) {
+    const { kind, top } = pick;
+    let { a, b } = pick;
+    const names = kind === 'team'
+        ? calculateDuoStats(matches).map(d => d.name)
+        : [...new Set(matches.flatMap(m => [...(m.team0_players || []), ...(m.team1_players || [])]))].sort();
+
+    if (!names.includes(a)) {
+        a = top ? top.teamA : (names[0] || null);
+        b = top ? top.teamB : null;
+    }
+    const opponents = a ? calculateOpponents(matches, a, kind) : [];
+    if (!opponents.some(o => o.name === b)) b = opponents[0] ? opponents[0].name : null;
+
+    return { kind, a, b, names, opponents, h2h: a && b ? calculateHeadToHead(events, matches, a, b, kind) : null };
+}
+
+// --- RNG FAIRNESS TESTS ---
+// Each player's/team's powerup draws are compared to the pooled distribution of everyone
+// with a chi-square goodness-of-fit test. Bonferroni correction keeps "somebody is always
+// unusual" false alarms down when many entities are tested at once.
+const FAIRNESS_ALPHA = 0.05;
+// Below this many activations (or fewer than FAIRNESS_MIN_EXPECTED expected draws per
+// powerup on average) the test has too little power and the result is inconclusive
+const FAIRNESS_MIN_ACTIVATIONS = 30;
+const FAIRNESS_MIN_EXPECTED = 5;
+
+// Lanczos approximation of ln(Γ(x))
+function logGamma(x) {
+    const c = [
+        0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+        1.5056327351493116e-7
+    ];
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+
+    x -= 1;
+    let sum = c[0];
+    for (let i = 1; i < 9; i++) sum += c[i] / (x + i);
+    const t = x + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Regularized upper incomplete gamma function Q(a, x): series below a + 1, continued fraction above
+function regularizedGammaQ(a, x) {
+    if (x <= 0) return 1;
+    const prefix = Math.exp(-x + a * Math.log(x) - logGamma(a));
+
+    if (x < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 500; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+        }
+        return Math.max(0, 1 - sum * prefix);
+    }
+
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return prefix * h;
+}
+
+function chiSquarePValue(chi2, df) {
+    if (df <= 0) return 1;
+    return regularizedGammaQ(df / 2, chi2 / 2);
+}
+
+// 95% Wilson score interval for a proportion
+function wilsonInterval(successes, n, z = 1.96) {
+    if (n === 0) return { low: 0, high: 1 };
+    const p = successes / n;
+    const denominator = 1 + z * z / n;
+    const center = (p + z * z / (2 * n)) / denominator;
+    const half = (z * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n))) / denominator;
+    return { low: Math.max(0, center - half), high: Math.min(1, center + half) };
+}
+
+// stats: { "Name": { "Kaktus": { used, goals }, ... } } as built by calculatePowerupStats /
+// calculateTeamStatsByEvent. Results are sorted most suspicious first, inconclusive last.
+function calculateFairness(stats) {
+    const pooled = {};
+    Object.values(stats).forEach(items => {
+        Object.entries(items).forEach(([item, data]) => {
+            if (data.used > 0) pooled[item] = (pooled[item] || 0) + data.used;
+        });
+    });
+    const grandTotal = Object.values(pooled).reduce((a, b) => a + b, 0);
+    const categories = Object.keys(pooled);
+    const expected = {};
+    categories.forEach(item => expected[item] = pooled[item] / grandTotal);
+
+    const minSample = Math.max(FAIRNESS_MIN_ACTIVATIONS, FAIRNESS_MIN_EXPECTED * categories.length);
+    const results = Object.entries(stats).map(([name, items]) => {
+        const n = categories.reduce((sum, item) => sum + ((items[item] && items[item].used) || 0), 0);
+        let chi2 = 0;
+        let deviation = null;
+
+        categories.forEach(item => {
+            const observed = (items[item] && items[item].used) || 0;
+            const exp = n * expected[item];
+            if (exp === 0) return;
+            chi2 += Math.pow(observed - exp, 2) / exp;
+
+            // The powerup furthest from expectation, in standard deviations
+            const residual = (observed - exp) / Math.sqrt(exp);
+            if (!deviation || Math.abs(residual) > Math.abs(deviation.residual)) {
+                deviation = { powerup: item, residual, observed: n > 0 ? observed / n : 0, expected: expected[item], ...wilsonInterval(observed, n) };
+            }
+        });
+
+        const df = categories.length - 1;
+        return { name, n, chi2, df, pValue: n > 0 ? chiSquarePValue(chi2, df) : 1, deviation, inconclusive: n < minSample };
+    });
+
+    const tested = results.filter(r => !r.inconclusive).length;
+    const threshold = tested > 0 ? FAIRNESS_ALPHA / tested : FAIRNESS_ALPHA;
+    results.forEach(r => {
+        r.verdict = r.inconclusive ? 'inconclusive' : r.pValue < threshold ? 'unusual' : 'fair';
+    });
+    results.sort((a, b) => (a.inconclusive - b.inconclusive) || (a.pValue - b.pValue));
+
+    return { expected, threshold, minSample, results };
+}
+
+// --- POWERUP IMPACT ---
+// Links powerups to results: in games where one team activated a powerup more often than the
+// other, how often did that team win? Goal share is the part of a team's goals scored with it,
+// counted over the games where that team had the powerup (and again for the out-using team).
+function calculatePowerupImpact(events, matches) {
+    const games = {};
+    matches.forEach(m => {
+        if (m.winning_team !== 0 && m.winning_team !== 1) return;
+        games[m.game_id] = {
+            match: m,
+            usage: [{}, {}],
+            goals: [0, 0],
+            itemGoals: [{}, {}],
+            playerTeams: {},
+            playerGoals: {}
+        };
+        (m.team0_players || []).forEach(p => games[m.game_id].playerTeams[p] = 0);
+        (m.team1_players || []).forEach(p => games[m.game_id].playerTeams[p] = 1);
+    });
+
+    const overall = {};
+    const byPlayer = {};
+    let totalGoals = 0;
+    const entry = (map, item) => {
+        if (!map[item]) map[item] = { used: 0, games: 0, wins: 0, goals: 0, teamGoals: 0, outUsedGoals: 0, outUsedTeamGoals: 0 };
+        return map[item];
+    };
+
+    events.forEach(e => {
+        const game = games[e.game_id];
+        if (!game || (e.team_num !== 0 && e.team_num !== 1)) return;
+        const item = e.powerup_name;
+
+        if (e.event_type === 'Activation') {
+            game.usage[e.team_num][item] = (game.usage[e.team_num][item] || 0) + 1;
+            entry(overall, item).used++;
+            if (!byPlayer[e.player_name]) byPlayer[e.player_name] = {};
+            entry(byPlayer[e.player_name], item).used++;
+        } else if (e.event_type === 'Goal') {
+            totalGoals++;
+            game.goals[e.team_num]++;
+            if (item === 'None') return;
+            game.itemGoals[e.team_num][item] = (game.itemGoals[e.team_num][item] || 0) + 1;
+            if (!game.playerGoals[e.player_name]) game.playerGoals[e.player_name] = {};
+            game.playerGoals[e.player_name][item] = (game.playerGoals[e.player_name][item] || 0) + 1;
+            entry(overall, item).goals++;
+            if (!byPlayer[e.player_name]) byPlayer[e.player_name] = {};
+            entry(byPlayer[e.player_name], item).goals++;
+        }
+    });
+
+    Object.values(games).forEach(game => {
+        [0, 1].forEach(team => {
+            // Every powerup the team activated or scored with counts its goals once
+            const items = new Set([...Object.keys(game.usage[team]), ...Object.keys(game.itemGoals[team])]);
+            items.forEach(item => {
+                const used = game.usage[team][item] || 0;
+                const outUsed = used > (game.usage[1 - team][item] || 0);
+                const won = game.match.winning_team === team;
+                const itemGoals = game.itemGoals[team][item] || 0;
+
+                const stats = entry(overall, item);
+                stats.teamGoals += game.goals[team];
+                if (outUsed) {
+                    stats.games++;
+                    if (won) stats.wins++;
+                    stats.outUsedGoals += itemGoals;
+                    stats.outUsedTeamGoals += game.goals[team];
+                }
+
+                // Per player: their own goals against their team's, in the games their team had it
+                Object.entries(game.playerTeams).forEach(([player, playerTeam]) => {
+                    if (playerTeam !== team) return;
+                    if (!byPlayer[player]) byPlayer[player] = {};
+                    const playerStats = entry(byPlayer[player], item);
+                    playerStats.teamGoals += game.goals[team];
+                    if (!outUsed) return;
+                    playerStats.games++;
+                    if (won) playerStats.wins++;
+                    playerStats.outUsedGoals += (game.playerGoals[player] || {})[item] || 0;
+                    playerStats.outUsedTeamGoals += game.goals[team];
+                });
+            });
+        });
+    });
+
+    const finish = (map) => Object.entries(map)
+        .filter(([item]) => item !== 'None')
+        .map(([item, s]) => ({
+            name: item,
+            ...s,
+            winRate: s.games > 0 ? s.wins / s.games : null,
+            goalShare: s.teamGoals > 0 ? s.goals / s.teamGoals : null,
+            outUsedGoalShare: s.outUsedTeamGoals > 0 ? s.outUsedGoals / s.outUsedTeamGoals : null
+        }))
+        .sort((a, b) => (b.winRate ?? -1) - (a.winRate ?? -1) || b.games - a.games);
+
+    const players = {};
+    Object.entries(byPlayer).forEach(([player, map]) => {
+        players[player] = finish(map);
+    });
+    return { powerups: finish(overall), players, totalGoals };
+}
+
+// --- MATCH TIMELINE ---
+// Every activation and goal of one game in order, with the rows that don't add up flagged
+function calculateMatchTimeline(events, match) {
+    const rosters = [match.team0_players || [], match.team1_players || []];
+    const rows = events
+        .filter(e => e.game_id === match.game_id)
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id);
+
+    const score = [0, 0];
+    const activated = [new Set(), new Set()];
+    const seen = new Set();
+    const entries = rows.map(e => {
+        const issues = [];
+        const validTeam = e.team_num === 0 || e.team_num === 1;
+        const listedOn = rosters.findIndex(r => r.includes(e.player_name));
+        const powerup = e.powerup_name && e.powerup_name !== 'None' ? e.powerup_name : null;
+
+        if (!validTeam) issues.push(`team_num ${e.team_num} is not 0 or 1`);
+        if (listedOn === -1) issues.push(`${e.player_name} is not in the match roster`);
+        else if (validTeam && listedOn !== e.team_num) issues.push(`${e.player_name} is listed on team ${listedOn}`);
+
+        const key = [e.player_name, e.team_num, e.event_type, e.powerup_name, e.created_at].join('|');
+        if (seen.has(key)) issues.push('Possible duplicate of an earlier row');
+        seen.add(key);
+
+        if (e.event_type === 'Activation' && validTeam && powerup) {
+            activated[e.team_num].add(powerup);
+        } else if (e.event_type === 'Goal' && validTeam) {
+            score[e.team_num]++;
+            if (powerup && !activated[e.team_num].has(powerup)) issues.push(`No earlier ${powerup} activation by this team`);
+        }
+
+        return {
+            id: e.id,
+            created_at: e.created_at,
+            player: e.player_name,
+            rawPlayer: e.raw_player_name || null,
+            team: e.team_num,
+            type: e.event_type,
+            powerup,
+            score: e.event_type === 'Goal' ? [...score] : null,
+            issues
+        };
+    });
+
+    const issues = [];
+    if (entries.length === 0) issues.push('No events recorded for this game');
+    const winner = match.winning_team;
+    if (winner !== 0 && winner !== 1) issues.push(`winning_team ${winner} is not 0 or 1`);
+    else if (score[winner] < score[1 - winner]) issues.push(`Recorded winner scored fewer goals (${score[winner]} - ${score[1 - winner]})`);
+
+    return {
+        game_id: match.game_id,
+        created_at: match.created_at,
+        teams: rosters,
+        winner,
+        goals: score,
+        entries,
+        issues,
+        flagged: issues.length + entries.filter(e => e.issues.length > 0).length
+    };
+}
+
+// Newest first, one timeline per match
+function calculateMatchList(events, matches) {
+    const byGame = {};
+    events.forEach(e => {
+        if (!byGame[e.game_id]) byGame[e.game_id] = [];
+        byGame[e.game_id].push(e);
+    });
+    return matches
+        .map(m => calculateMatchTimeline(byGame[m.game_id] || [], m))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+// --- PROFILES ---
+// Teammates/opponents need this many games together before they count as best or worst
+const PROFILE_MIN_GAMES = 3;
+// Powerups need this many activations before they can be the most efficient one
+const PROFILE_MIN_USES = 5;
+
+function conversion(stats) {
+    return stats.used > 0 ? stats.goals / stats.used : 0;
+}
+
+// Best and worst entry by win rate, preferring entries with enough games
+function pickBestAndWorst(records) {
+    const list = Object.entries(records).map(([name, r]) => ({ name, ...r, winRate: r.wins / r.games }));
+    const qualified = list.filter(r => r.games >= PROFILE_MIN_GAMES);
+    const pool = qualified.length > 0 ? qualified : list;
+    if (pool.length === 0) return { best: null, worst: null };
+
+    const sorted = [...pool].sort((a, b) => b.winRate - a.winRate || b.games - a.games);
+    return { best: sorted[0], worst: sorted.length > 1 ? sorted[sorted.length - 1] : null };
+}
+
+// Everything the profile page shows for one player (kind 'player') or team (kind 'team')
+function calculateProfile(events, matches, name, kind) {
+    const sides = {};
+    // A game without a result would show up as a loss, so the profile leaves it out
+    const played = matches.filter(m => {
+        const side = sideOf(m, name, kind);
+        if (side === null || (m.winning_team !== 0 && m.winning_team !== 1)) return false;
+        sides[m.game_id] = side;
+        return true;
+    });
+
+    // Events count for a player when they are the player's, for a team when they are on its side
+    const ownEvents = events.filter(e => e.game_id in sides &&
+        (kind === 'player' ? e.player_name === name : e.team_num === sides[e.game_id]));
+
+    const totals = { games: 0, wins: 0, losses: 0, goals: 0, rumbleGoals: 0, activations: 0 };
+    const powerups = {};
+    const teammates = {};
+    const opponents = {};
+    const byGame = {};
+
+    played.forEach(m => {
+        const side = sides[m.game_id];
+        const won = m.winning_team === side;
+        const own = (side === 0 ? m.team0_players : m.team1_players) || [];
+        const other = (side === 0 ? m.team1_players : m.team0_players) || [];
+
+        totals.games++;
+        if (won) totals.wins++; else totals.losses++;
+        byGame[m.game_id] = { goals: 0, teamGoals: 0, opponentGoals: 0 };
+
+        const tally = (map, key) => {
+            if (!map[key]) map[key] = { games: 0, wins: 0 };
+            map[key].games++;
+            if (won) map[key].wins++;
+        };
+        if (kind === 'player') own.filter(p => p !== name).forEach(p => tally(teammates, p));
+        if (other.length > 0) tally(opponents, teamKey(other));
+    });
+
+    ownEvents.forEach(e => {
+        const item = e.powerup_name;
+        if (e.event_type === 'Activation') {
+            totals.activations++;
+            if (!powerups[item]) powerups[item] = { used: 0, goals: 0 };
+            powerups[item].used++;
+        } else if (e.event_type === 'Goal') {
+            totals.goals++;
+            byGame[e.game_id].goals++;
+            if (item !== 'None') {
+                totals.rumbleGoals++;
+                if (!powerups[item]) powerups[item] = { used: 0, goals: 0 };
+                powerups[item].goals++;
+            }
+        }
+    });
+
+    // Final score of every game the entity played, for the recent matches list
+    events.forEach(e => {
+        if (!(e.game_id in sides) || e.event_type !== 'Goal') return;
+        if (e.team_num === sides[e.game_id]) byGame[e.game_id].teamGoals++;
+        else if (e.team_num === 0 || e.team_num === 1) byGame[e.game_id].opponentGoals++;
+    });
+
+    const powerupList = Object.entries(powerups).map(([item, p]) => ({ name: item, ...p, conv: conversion(p) }));
+    const favourite = [...powerupList].sort((a, b) => b.used - a.used)[0] || null;
+    const efficientPool = powerupList.filter(p => p.used >= PROFILE_MIN_USES);
+    const mostEfficient = [...(efficientPool.length > 0 ? efficientPool : powerupList)]
+        .sort((a, b) => b.conv - a.conv || b.used - a.used)[0] || null;
+
+    const playedIds = new Set(played.map(m => m.game_id));
+    const playdays = groupMatchesIntoPlaydays(matches)
+        .filter(p => p.matches.some(m => playedIds.has(m.game_id)))
+        .map(p => {
+            const dayGames = p.matches.filter(m => playedIds.has(m.game_id));
+            return {
+                label: p.label,
+                start: p.start,
+                games: dayGames.length,
+                wins: dayGames.filter(m => m.winning_team === sides[m.game_id]).length,
+                goals: dayGames.reduce((sum, m) => sum + byGame[m.game_id].goals, 0)
+            };
+        })
+        .reverse();
+
+    const recent = [...played]
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .map(m => {
+            const side = sides[m.game_id];
+            const own = (side === 0 ? m.team0_players : m.team1_players) || [];
+            return {
+                game_id: m.game_id,
+                created_at: m.created_at,
+                won: m.winning_team === side,
+                teammates: own.filter(p => kind === 'team' || p !== name),
+                opponents: (side === 0 ? m.team1_players : m.team0_players) || [],
+                ...byGame[m.game_id]
+            };
+        });
+
+    return {
+        name, kind, totals, powerups, favourite, mostEfficient, playdays, recent,
+        teammates: pickBestAndWorst(teammates),
+        opponents: pickBestAndWorst(opponents)
+    };
+}
+
+// --- PLAYDAY SESSIONS ---
+// A gap longer than this between two matches starts a new playday, so a
+// session that runs past midnight is still counted as one night.
+const PLAYDAY_GAP_HOURS = 4;
+
+function groupMatchesIntoPlaydays(matches) {
+    const sorted = [...matches].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    const playdays = [];
+    let current = null;
+
+    sorted.forEach(m => {
+        const time = new Date(m.created_at);
+        if (!current || time - current.end > PLAYDAY_GAP_HOURS * 3600 * 1000) {
+            current = { start: time, end: time, matches: [] };
+            playdays.push(current);
+        }
+        current.end = time;
+        current.matches.push(m);
+    });
+
+    // Labels use the local date the session started on, not the UTC date
+    return playdays.map((p, index) => ({
+        ...p,
+        index,
+        gameIds: new Set(p.matches.map(m => m.game_id)),
+        label: formatPlaydayLabel(p.start, p.end)
+    }));
+}
+
+function formatPlaydayLabel(start, end) {
+    const time = (d) => d.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+    return `${start.toLocaleDateString('en-GB')} ${time(start)}–${time(end)}`;
+}
+
+// --- PLAYDAY RECAP ---
+// Headlines for one playday (from groupMatchesIntoPlaydays). `history` is every match regardless
+// of filters, the upset compares each game with the meetings of the same two teams before it.
+const RECAP_UPSET_MIN_MEETINGS = 3;
+
+// {
+//   games, goals,
+//   mvp: { players, goals, games }            top scorers of the night (ties share it)
+//   bestDuo: { name, wins, losses }           most wins by a team of two or more
+//   upset: { game_id, winner, loser, winnerWins, loserWins }   head-to-head record before the game
+//   luckiest: { player, activations, games, ratio }            most powerups per game, ratio to the night's average
+//   topPowerup: { name, used, share }
+// }
+// Every headline is null when the night has nothing for it.
+function calculatePlaydayRecap(events, history, playday) {
+    const dayMatches = playday.matches;
+    const dayEvents = events.filter(e => playday.gameIds.has(e.game_id));
+
+    const gamesOf = {};
+    dayMatches.forEach(m => [...(m.team0_players || []), ...(m.team1_players || [])].forEach(p => {
+        gamesOf[p] = (gamesOf[p] || 0) + 1;
+    }));
+
+    const scorers = calculateScorerStats(dayEvents).filter(([, s]) => s.total > 0);
+    const topGoals = scorers.length > 0 ? scorers[0][1].total : 0;
+    const mvpPlayers = scorers.filter(([, s]) => s.total === topGoals).map(([name]) => name).sort();
+    const mvp = topGoals > 0
+        ? { players: mvpPlayers, goals: topGoals, games: Math.max(...mvpPlayers.map(p => gamesOf[p] || 0)) }
+        : null;
+
+    const duos = calculateDuoStats(dayMatches)
+        .filter(d => d.name.includes(' & ') && d.wins > 0)
+        .sort((a, b) => b.wins - a.wins || a.losses - b.losses || a.name.localeCompare(b.name));
+    const bestDuo = duos.length > 0 ? { name: duos[0].name, wins: duos[0].wins, losses: duos[0].losses } : null;
+
+    let upset = null;
+    dayMatches.forEach(m => {
+        if (m.winning_team !== 0 && m.winning_team !== 1) return;
+        const winner = teamKey(m.winning_team === 0 ? m.team0_players : m.team1_players);
+        const loser = teamKey(m.winning_team === 0 ? m.team1_players : m.team0_players);
+        if (!winner || !loser) return;
+
+        let winnerWins = 0;
+        let loserWins = 0;
+        history.forEach(prior => {
+            if (new Date(prior.created_at) >= new Date(m.created_at)) return;
+            if (prior.winning_team !== 0 && prior.winning_team !== 1) return;
+            const sides = [teamKey(prior.team0_players), teamKey(prior.team1_players)];
+            if (!sides.includes(winner) || !sides.includes(loser)) return;
+            if (sides[prior.winning_team] === winner) winnerWins++;
+            else loserWins++;
+        });
+
+        const meetings = winnerWins + loserWins;
+        if (meetings < RECAP_UPSET_MIN_MEETINGS || winnerWins >= loserWins) return;
+        const share = winnerWins / meetings;
+        const best = upset ? upset.winnerWins / (upset.winnerWins + upset.loserWins) : 1;
+        if (share < best || (share === best && meetings > upset.winnerWins + upset.loserWins)) {
+            upset = { game_id: m.game_id, winner, loser, winnerWins, loserWins };
+        }
+    });
+
+    const activations = {};
+    dayEvents.filter(e => e.event_type === 'Activation' && gamesOf[e.player_name]).forEach(e => {
+        activations[e.player_name] = (activations[e.player_name] || 0) + 1;
+    });
+    const totalActivations = Object.values(activations).reduce((a, b) => a + b, 0);
+    const playerGames = Object.values(gamesOf).reduce((a, b) => a + b, 0);
+    const lucky = Object.entries(activations)
+        .map(([player, count]) => ({ player, activations: count, games: gamesOf[player], perGame: count / gamesOf[player] }))
+        .sort((a, b) => b.perGame - a.perGame || b.activations - a.activations || a.player.localeCompare(b.player));
+    const luckiest = lucky.length > 0
+        ? { player: lucky[0].player, activations: lucky[0].activations, games: lucky[0].games, ratio: lucky[0].perGame / (totalActivations / playerGames) }
+        : null;
+
+    const { totalUsage } = calculatePowerupStats(dayEvents);
+    const used = Object.entries(totalUsage)
+        .filter(([name]) => name !== 'None')
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    const usedTotal = used.reduce((sum, [, count]) => sum + count, 0);
+    const topPowerup = used.length > 0 ? { name: used[0][0], used: used[0][1], share: used[0][1] / usedTotal } : null;
+
+    return {
+        games: dayMatches.length,
+        goals: dayEvents.filter(e => e.event_type === 'Goal').length,
+        mvp,
+        bestDuo,
+        upset,
+        luckiest,
+        topPowerup
+    };
+}
+
+// --- SEASONS ---
+// Seasons are named date ranges ({ name, start, end, pointsPerWin }). Dates are local calendar
+// days and both ends are inclusive; a season without an end is still running.
+const SEASON_POINTS_PER_WIN = 3;
+const STANDINGS_FORM_LENGTH = 5;
+
+// 'YYYY-MM-DD' as midnight local time (new Date('YYYY-MM-DD') would be UTC)
+function parseLocalDay(text) {
+    const [y, m, d] = String(text).split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+function normalizeSeasons(list) {
+    return (list || [])
+        .filter(s => s && s.name && s.start)
+        .map(s => {
+            const end = s.end ? parseLocalDay(s.end) : null;
+            if (end) end.setDate(end.getDate() + 1);
+            return {
+                name: s.name,
+                start: parseLocalDay(s.start),
+                end, // exclusive
+                pointsPerWin: Number(s.pointsPerWin) || SEASON_POINTS_PER_WIN
+            };
+        })
+        .sort((a, b) => a.start - b.start);
+}
+
+function isSeasonArchived(season, now = new Date()) {
+    return season.end !== null && season.end <= now;
+}
+
+function findCurrentSeason(seasons, now = new Date()) {
+    return seasons.find(s => s.start <= now && (s.end === null || now < s.end)) || null;
+}
+
+// Keeps the matches that pass keepMatch and their events. Events of games without a
+// result have nothing to be judged by, so keepOrphan decides about them on their own.
+function filterGames(events, matches, keepMatch, keepOrphan) {
+    const keptMatches = matches.filter(keepMatch);
+    const gameIds = new Set(keptMatches.map(m => m.game_id));
+    const allGameIds = new Set(matches.map(m => m.game_id));
+    const keptEvents = events.filter(e => gameIds.has(e.game_id) || (!allGameIds.has(e.game_id) && keepOrphan(e)));
+    return { events: keptEvents, matches: keptMatches };
+}
+
+// Matches played within the season, plus their events
+function filterBySeason(events, matches, season) {
+    const inSeason = (row) => {
+        const time = new Date(row.created_at);
+        return time >= season.start && (season.end === null || time < season.end);
+    };
+    return filterGames(events, matches, inSeason, inSeason);
+}
+
+// League table per player: points for every win, goal difference from the goals of both
+// teams in the player's games, form = last results, newest first
+function calculateStandings(events, matches, pointsPerWin = SEASON_POINTS_PER_WIN) {
+    const goals = {};
+    events.forEach(e => {
+        if (e.event_type !== 'Goal' || (e.team_num !== 0 && e.team_num !== 1)) return;
+        if (!goals[e.game_id]) goals[e.game_id] = [0, 0];
+        goals[e.game_id][e.team_num]++;
+    });
+
+    const table = {};
+    [...matches]
+        .filter(m => m.winning_team === 0 || m.winning_team === 1)
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .forEach(m => {
+            const score = goals[m.game_id] || [0, 0];
+            [m.team0_players || [], m.team1_players || []].forEach((players, team) => {
+                const won = m.winning_team === team;
+                players.forEach(name => {
+                    if (!table[name]) table[name] = { name, games: 0, wins: 0, losses: 0, points: 0, goalsFor: 0, goalsAgainst: 0, form: [] };
+                    const row = table[name];
+                    row.games++;
+                    if (won) { row.wins++; row.points += pointsPerWin; } else row.losses++;
+                    row.goalsFor += score[team];
+                    row.goalsAgainst += score[1 - team];
+                    row.form.unshift(won ? 'W' : 'L');
+                });
+            });
+        });
+
+    return Object.values(table)
+        .map(row => ({ ...row, goalDiff: row.goalsFor - row.goalsAgainst, form: row.form.slice(0, STANDINGS_FORM_LENGTH) }))
+        .sort((a, b) => b.points - a.points || b.goalDiff - a.goalDiff || b.goalsFor - a.goalsFor || a.name.localeCompare(b.name));
+}
+
+// --- GAME MODES ---
+// A game's mode comes from its roster sizes: '1v1', '2v2', '3v3', or uneven ones like '2v1'
+function gameMode(match) {
+    const sizes = [(match.team0_players || []).length, (match.team1_players || []).length].sort((a, b) => b - a);
+    return `${sizes[0]}v${sizes[1]}`;
+}
+
+// [{ mode, games }], most played first
+function countGameModes(matches) {
+    const counts = {};
+    matches.forEach(m => {
+        const mode = gameMode(m);
+        counts[mode] = (counts[mode] || 0) + 1;
+    });
+    return Object.entries(counts)
+        .map(([mode, games]) => ({ mode, games }))
+        .sort((a, b) => b.games - a.games || a.mode.localeCompare(b.mode));
+}
+
+// Duo, rivalry and scorer stats computed per mode (in countGameModes order), so a 1v1 record
+// never ends up in the same table as a 2v2 one. Events of games without a result are left out.
+function calculateModeSegments(events, matches) {
+    const modeOfGame = {};
+    matches.forEach(m => { modeOfGame[m.game_id] = gameMode(m); });
+
+    return countGameModes(matches).map(({ mode, games }) => {
+        const modeMatches = matches.filter(m => modeOfGame[m.game_id] === mode);
+        const modeEvents = events.filter(e => modeOfGame[e.game_id] === mode);
+        return {
+            mode,
+            games,
+            duos: calculateDuoStats(modeMatches),
+            rivalries: calculateRivalries(modeMatches),
+            scorers: calculateScorerStats(modeEvents)
+        };
+    });
+}
+
+// --- FILTERS ---
+// { from, to, players, teams, powerups, mode }: from/to are inclusive 'YYYY-MM-DD' local days,
+// players/teams/powerups are lists of names and mode is a game mode like '2v2'. Empty = no filter.
+
+function hasActiveFilters(filters) {
+    return Boolean(filters.from || filters.to || filters.mode ||
+        (filters.players || []).length || (filters.teams || []).length || (filters.powerups || []).length);
+}
+
+// A match passes when it is in the date range and mode, has every selected player in it and
+// one of the selected teams on either side. Powerups narrow the events only, results stay.
+function applyFilters(events, matches, filters) {
+    const from = filters.from ? parseLocalDay(filters.from) : null;
+    const to = filters.to ? parseLocalDay(filters.to) : null;
+    if (to) to.setDate(to.getDate() + 1);
+    const players = filters.players || [];
+    const teams = filters.teams || [];
+    const powerups = filters.powerups || [];
+
+    const inRange = (row) => {
+        const time = new Date(row.created_at);
+        return (!from || time >= from) && (!to || time < to);
+    };
+    const keepMatch = (m) => {
+        const roster = [...(m.team0_players || []), ...(m.team1_players || [])];
+        return inRange(m) &&
+            (!filters.mode || gameMode(m) === filters.mode) &&
+            players.every(p => roster.includes(p)) &&
+            (teams.length === 0 || teams.includes(teamKey(m.team0_players || [])) || teams.includes(teamKey(m.team1_players || [])));
+    };
+    // Games without a result can't be matched against players, teams or mode
+    const matchFiltered = players.length > 0 || teams.length > 0 || Boolean(filters.mode);
+
+    const scoped = filterGames(events, matches, keepMatch, e => !matchFiltered && inRange(e));
+    if (powerups.length > 0) scoped.events = scoped.events.filter(e => powerups.includes(e.powerup_name));
+    return scoped;
+}
+
+// --- SKILL RATINGS ---
+// Elo-style ratings: a team plays at the average rating of its players and
+// every player on the team moves by the same amount after each match.
+const RATING_START = 1000;
+const RATING_K = 32;
+
+function expectedScore(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+function calculateRatings(matches) {
+    const players = {};
+    const duos = {};
+    const getEntry = (map, name) => {
+        if (!map[name]) map[name] = { name, rating: RATING_START, games: 0, wins: 0, history: [] };
+        return map[name];
+    };
+
+    const sorted = [...matches].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    sorted.forEach(m => {
+        const team0 = m.team0_players || [];
+        const team1 = m.team1_players || [];
+        if (team0.length === 0 || team1.length === 0) return;
+        if (m.winning_team !== 0 && m.winning_team !== 1) return;
+
+        const score0 = m.winning_team === 0 ? 1 : 0;
+        const applyResult = (entries0, entries1) => {
+            const avg = (entries) => entries.reduce((sum, e) => sum + e.rating, 0) / entries.length;
+            const delta = RATING_K * (score0 - expectedScore(avg(entries0), avg(entries1)));
+            [[entries0, delta, score0], [entries1, -delta, 1 - score0]].forEach(([entries, change, won]) => {
+                entries.forEach(e => {
+                    e.rating += change;
+                    e.games++;
+                    e.wins += won;
+                    e.history.push({ time: m.created_at, rating: e.rating });
+                });
+            });
+        };
+
+        // Players and duos are rated independently of each other
+        applyResult(team0.map(p => getEntry(players, p)), team1.map(p => getEntry(players, p)));
+        applyResult([getEntry(duos, teamKey(team0))], [getEntry(duos, teamKey(team1))]);
+    });
+    return { players, duos };
+}
+
+// Rating an entity had before the given time (start rating if it had not played yet)
+function ratingBefore(entry, time) {
+    let rating = RATING_START;
+    entry.history.forEach(h => {
+        if (new Date(h.time) < time) rating = h.rating;
+    });
+    return rating;
+}
+
+// --- TEAM BALANCER ---
+// Splits tonight's players into two teams and ranks the splits by how close the predicted
+// result is to 50/50. A team plays at its players' average rating; a roster that has played
+// together before moves that by part of its own rating's distance from the start.
+const BALANCER_SUGGESTIONS = 3;
+const BALANCER_ROSTER_WEIGHT = 0.5;
+
+// Yields every `size`-element subset of items, in order, one at a time: a big roster has far
+// too many splits to hold in memory at once
+function* combinations(items, size) {
+    if (size > items.length) return;
+    const indices = Array.from({ length: size }, (_, i) => i);
+    while (true) {
+        yield indices.map(i => items[i]);
+        // Move the last index that still can, the ones after it follow right behind
+        let i = size - 1;
+        while (i >= 0 && indices[i] === items.length - size + i) i--;
+        if (i < 0) return;
+        indices[i]++;
+        for (let j = i + 1; j < size; j++) indices[j] = indices[j - 1] + 1;
+    }
+}
+
+// Games every pair of players spent on the same team, keyed by teamKey([a, b])
+function countPairGames(matches) {
+    const pairs = {};
+    matches.forEach(m => [m.team0_players || [], m.team1_players || []].forEach(roster => {
+        for (const pair of combinations([...new Set(roster)], 2)) {
+            const key = teamKey(pair);
+            pairs[key] = (pairs[key] || 0) + 1;
+        }
+    }));
+    return pairs;
+}
+
+function teamStrength(ratings, players) {
+    const average = players.reduce((sum, p) => sum + (ratings.players[p] ? ratings.players[p].rating : RATING_START), 0) / players.length;
+    const roster = players.length > 1 ? ratings.duos[teamKey(players)] : null;
+    return roster ? average + (roster.rating - RATING_START) * BALANCER_ROSTER_WEIGHT : average;
+}
+
+// -> [{ teams: [{ players, strength, winProbability, pairs: [{ players, games }] }, x2], gap }]
+// closest first. Players without any rated game play at the start rating, see unrated.
+function suggestTeams(matches, players, count = BALANCER_SUGGESTIONS) {
+    const present = [...new Set(players)].sort();
+    if (present.length < 2) return { suggestions: [], unrated: [] };
+
+    const ratings = calculateRatings(matches);
+    const pairGames = countPairGames(matches);
+    const describe = (roster, winProbability) => ({
+        players: roster,
+        strength: teamStrength(ratings, roster),
+        winProbability,
+        pairs: Array.from(combinations(roster, 2), pair => ({ players: pair, games: pairGames[teamKey(pair)] || 0 }))
+    });
+
+    // The first player always goes to team 0, so mirrored splits are only counted once
+    const size = Math.floor(present.length / 2);
+    const [first, ...rest] = present;
+    // Team 0 has the first player plus size - 1 others, or size others when the count is odd
+    const sizes = present.length % 2 === 1 ? [size, size - 1] : [size - 1];
+
+    // Only the best `count` splits are kept while going through them, and only those are described
+    const best = [];
+    const closer = (a, b) => a.gap - b.gap || a.key.localeCompare(b.key);
+    sizes.forEach(others => {
+        for (const combination of combinations(rest, others)) {
+            const team0 = [first, ...combination];
+            const inTeam0 = new Set(team0);
+            const team1 = present.filter(p => !inTeam0.has(p));
+            const win0 = expectedScore(teamStrength(ratings, team0), teamStrength(ratings, team1));
+            const split = { team0, team1, win0, gap: Math.abs(win0 - 0.5), key: teamKey(team0) };
+            if (best.length >= count && (count === 0 || closer(split, best[best.length - 1]) >= 0)) continue;
+            best.push(split);
+            best.sort(closer);
+            if (best.length > count) best.pop();
+        }
+    });
+
+    return {
+        suggestions: best.map(s => ({ teams: [describe(s.team0, s.win0), describe(s.team1, 1 - s.win0)], gap: s.gap })),
+        unrated: present.filter(p => !ratings.players[p])
+    };
+}
+
+// --- RECORDS ---
+// Streaks, single-game records and achievements, replayed in the order the games were played.
+// A hat trick is three goals by one player in one game.
+const HAT_TRICK_GOALS = 3;
+const WIN_STREAK_ACHIEVEMENT = 3;
+// A single result is not a streak yet
+const CURRENT_STREAK_MIN = 2;
+
+// In the order a player unlocks them; `id` is what the cards and the Hall of Fame key on
+const ACHIEVEMENTS = [
+    { id: 'first-goal', icon: '⚽', label: 'First goal' },
+    { id: 'first-win', icon: '🏆', label: 'First win' },
+    { id: 'powerup-goal', icon: '💥', label: 'First powerup goal' },
+    { id: 'hat-trick', icon: '🪄', label: 'First hat trick' },
+    { id: 'win-streak', icon: '🚀', label: `${WIN_STREAK_ACHIEVEMENT} wins in a row` }
+];
+
+function emptyStreaks(name) {
+    return {
+        name,
+        games: 0,
+        current: { result: null, length: 0, from: null, to: null },
+        longestWin: { length: 0, from: null, to: null },
+        longestLoss: { length: 0, from: null, to: null }
+    };
+}
+
+// Extends the current run, or starts a new one, and keeps the longest run of each kind (the earliest on ties)
+function addStreakResult(entry, won, time) {
+    const result = won ? 'W' : 'L';
+    if (entry.current.result !== result) entry.current = { result, length: 0, from: time, to: time };
+    entry.games++;
+    entry.current.length++;
+    entry.current.to = time;
+
+    const longest = won ? 'longestWin' : 'longestLoss';
+    if (entry.current.length > entry[longest].length) {
+        entry[longest] = { length: entry.current.length, from: entry.current.from, to: entry.current.to };
+    }
+}
+
+// Everyone tied for the highest value (empty when nobody got above zero)
+function recordHolders(entries, value) {
+    const best = Math.max(0, ...entries.map(value));
+    return best > 0 ? entries.filter(e => value(e) === best) : [];
+}
+
+// {
+//   players: [{ name, games, current, longestWin, longestLoss, bestGame, hatTricks, achievements: [{ id, time, game_id }] }],
+//   duos: [{ name, games, current, longestWin, longestLoss }],
+//   bestGames: [{ player, game_id, goals, time }] most goals first,
+//   hatTricks: [{ player, game_id, goals, time }] oldest first,
+//   powerupGoals: [{ player, powerup, goals }] most goals first,
+//   firsts: [{ id, player, time, game_id }] who unlocked each achievement first,
+//   streaks: {
+//     players: { longestWin, longestLoss }, duos: { longestWin, longestLoss },
+//     current: { win, loss }     players and duos on the longest run going right now
+//   } every list holds the tied holders as [{ name, duo, length, from, to }]
+// }
+// Streaks only count games with a result; goals count for every game in `events`.
+function calculateRecords(events, matches) {
+    const players = {};
+    const duos = {};
+    const getPlayer = (name) => {
+        if (!players[name]) players[name] = { ...emptyStreaks(name), bestGame: null, hatTricks: 0, achievements: [] };
+        return players[name];
+    };
+    const unlock = (name, id, time, gameId) => {
+        const player = getPlayer(name);
+        if (!player.achievements.some(a => a.id === id)) player.achievements.push({ id, time, game_id: gameId });
+    };
+
+    // Goals, in the order they were scored: per game per player, and per player per powerup
+    const gameGoals = {};
+    const powerupGoals = {};
+    [...events]
+        .filter(e => e.event_type === 'Goal')
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .forEach(e => {
+            const key = `${e.game_id}|${e.player_name}`;
+            if (!gameGoals[key]) gameGoals[key] = { player: e.player_name, game_id: e.game_id, goals: 0, time: e.created_at };
+            gameGoals[key].goals++;
+
+            unlock(e.player_name, 'first-goal', e.created_at, e.game_id);
+            if (gameGoals[key].goals === HAT_TRICK_GOALS) unlock(e.player_name, 'hat-trick', e.created_at, e.game_id);
+            if (e.powerup_name !== 'None') {
+                unlock(e.player_name, 'powerup-goal', e.created_at, e.game_id);
+                const powerupKey = `${e.player_name}|${e.powerup_name}`;
+                if (!powerupGoals[powerupKey]) powerupGoals[powerupKey] = { player: e.player_name, powerup: e.powerup_name, goals: 0 };
+                powerupGoals[powerupKey].goals++;
+            }
+        });
+
+    const bestGames = Object.values(gameGoals)
+        .sort((a, b) => b.goals - a.goals || new Date(a.time) - new Date(b.time));
+    bestGames.forEach(game => {
+        const player = getPlayer(game.player);
+        if (!player.bestGame) player.bestGame = game;
+        if (game.goals >= HAT_TRICK_GOALS) player.hatTricks++;
+    });
+
+    [...matches]
+        .filter(m => m.winning_team === 0 || m.winning_team === 1)
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .forEach(m => {
+            [m.team0_players || [], m.team1_players || []].forEach((roster, team) => {
+                const won = m.winning_team === team;
+                roster.forEach(name => {
+                    const player = getPlayer(name);
+                    addStreakResult(player, won, m.created_at);
+                    if (won) unlock(name, 'first-win', m.created_at, m.game_id);
+                    if (player.longestWin.length >= WIN_STREAK_ACHIEVEMENT) unlock(name, 'win-streak', m.created_at, m.game_id);
+                });
+                // A one-player side is the player, not a duo
+                if (roster.length > 1) {
+                    const duoName = teamKey(roster);
+                    if (!duos[duoName]) duos[duoName] = emptyStreaks(duoName);
+                    addStreakResult(duos[duoName], won, m.created_at);
+                }
+            });
+        });
+
+    const playerList = Object.values(players).sort((a, b) => a.name.localeCompare(b.name));
+    playerList.forEach(p => {
+        p.achievements.sort((a, b) => new Date(a.time) - new Date(b.time));
+    });
+
+    const firsts = ACHIEVEMENTS.map(({ id }) => {
+        const unlocked = playerList
+            .map(p => ({ player: p.name, ...p.achievements.find(a => a.id === id) }))
+            .filter(a => a.time)
+            .sort((a, b) => new Date(a.time) - new Date(b.time));
+        return unlocked.length > 0 ? { id, player: unlocked[0].player, time: unlocked[0].time, game_id: unlocked[0].game_id } : null;
+    }).filter(Boolean);
+
+    const duoList = Object.values(duos).sort((a, b) => a.name.localeCompare(b.name));
+    const holders = (entries, streak) => recordHolders(entries, e => streak(e).length)
+        .map(e => ({ name: e.name, duo: duoList.includes(e), ...streak(e) }));
+    const ongoing = (result) => ({ current }) => current.result === result && current.length >= CURRENT_STREAK_MIN
+        ? { length: current.length, from: current.from, to: current.to }
+        : { length: 0, from: null, to: null };
+    const streaks = {
+        players: { longestWin: holders(playerList, e => e.longestWin), longestLoss: holders(playerList, e => e.longestLoss) },
+        duos: { longestWin: holders(duoList, e => e.longestWin), longestLoss: holders(duoList, e => e.longestLoss) },
+        current: {
+            win: holders([...playerList, ...duoList], ongoing('W')),
+            loss: holders([...playerList, ...duoList], ongoing('L'))
+        }
+    };
+
+    return {
+        players: playerList,
+        duos: duoList,
+        bestGames,
+        hatTricks: Object.values(gameGoals)
+            .filter(g => g.goals >= HAT_TRICK_GOALS)
+            .sort((a, b) => new Date(a.time) - new Date(b.time)),
+        powerupGoals: Object.values(powerupGoals)
+            .sort((a, b) => b.goals - a.goals || a.player.localeCompare(b.player) || a.powerup.localeCompare(b.powerup)),
+        firsts,
+        streaks
+    };
+}
+
+// --- TRENDS ---
+// Per-player and per-powerup series over playdays or calendar weeks. Rates are kept as counts
+// per bucket, so a rolling average weighs every game the same instead of averaging averages.
+const TREND_UNITS = ['playday', 'week'];
+const TREND_ROLLING_WINDOW = 3;
+
+// Monday 00:00 local time of the week the date falls in
+function weekStart(date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+    return start;
+}
+
+// [{ start, end, matches }], oldest first; weeks without games are left out
+function groupMatchesIntoTrendBuckets(matches, unit) {
+    if (unit === 'playday') {
+        return groupMatchesIntoPlaydays(matches).map(p => ({ start: p.start, end: p.end, matches: p.matches }));
+    }
+    const weeks = {};
+    [...matches]
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .forEach(m => {
+            const start = weekStart(new Date(m.created_at));
+            const key = start.getTime();
+            if (!weeks[key]) weeks[key] = { start, end: new Date(key + 7 * 24 * 3600 * 1000 - 1), matches: [] };
+            weeks[key].matches.push(m);
+        });
+    return Object.values(weeks).sort((a, b) => a.start - b.start);
+}
+
+// { value, rolling }: the rate within each bucket and over the last `window` buckets,
+// null where there is nothing to divide by
+function trendSeries(numerators, denominators, window = TREND_ROLLING_WINDOW) {
+    const rate = (num, den) => den > 0 ? num / den : null;
+    const sum = (list, end) => list.slice(Math.max(0, end - window + 1), end + 1).reduce((a, b) => a + b, 0);
+    return {
+        value: numerators.map((num, i) => rate(num, denominators[i])),
+        rolling: numerators.map((_, i) => denominators[i] > 0 ? rate(sum(numerators, i), sum(denominators, i)) : null)
+    };
+}
+
+// {
+//   unit, window,
+//   buckets: [{ start, end, games }],
+//   players: [{ name, games: [..], goalsPerGame: { value, rolling }, winRate: { value, rolling } }],
+//   powerups: [{ name, used: [..], usageShare: { value, rolling }, conversion: { value, rolling } }]
+// }
+// Every array has one entry per bucket. Events of games without a result have no bucket and are left out.
+function calculateTrends(events, matches, unit = 'playday', window = TREND_ROLLING_WINDOW) {
+    const buckets = groupMatchesIntoTrendBuckets(matches, unit);
+    const bucketOfGame = {};
+    buckets.forEach((b, i) => b.matches.forEach(m => { bucketOfGame[m.game_id] = i; }));
+    const counts = () => buckets.map(() => 0);
+
+    const players = {};
+    const getPlayer = (name) => {
+        if (!players[name]) players[name] = { name, games: counts(), wins: counts(), goals: counts() };
+        return players[name];
+    };
+    buckets.forEach((b, i) => b.matches.forEach(m => {
+        [m.team0_players || [], m.team1_players || []].forEach((roster, team) => {
+            roster.forEach(name => {
+                const player = getPlayer(name);
+                player.games[i]++;
+                if (m.winning_team === team) player.wins[i]++;
+            });
+        });
+    }));
+
+    const powerups = {};
+    const activations = counts();
+    events.forEach(e => {
+        const i = bucketOfGame[e.game_id];
+        if (i === undefined) return;
+        if (e.event_type === 'Goal' && players[e.player_name]) players[e.player_name].goals[i]++;
+        if (e.powerup_name === 'None') return;
+        if (!powerups[e.powerup_name]) powerups[e.powerup_name] = { name: e.powerup_name, used: counts(), goals: counts() };
+        if (e.event_type === 'Activation') {
+            powerups[e.powerup_name].used[i]++;
+            activations[i]++;
+        } else if (e.event_type === 'Goal') {
+            powerups[e.powerup_name].goals[i]++;
+        }
+    });
+
+    return {
+        unit,
+        window,
+        buckets: buckets.map(b => ({ start: b.start, end: b.end, games: b.matches.length })),
+        players: Object.values(players)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(p => ({
+                name: p.name,
+                games: p.games,
+                goalsPerGame: trendSeries(p.goals, p.games, window),
+                winRate: trendSeries(p.wins, p.games, window)
+            })),
+        powerups: Object.values(powerups)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(p => ({
+                name: p.name,
+                used: p.used,
+                usageShare: trendSeries(p.used, activations, window),
+                conversion: trendSeries(p.goals, p.used, window)
+            }))
+    };
+}
+
+// --- DATA QUALITY ---
+// Problems in the raw rows (before aliases) that an admin should fix, in this order on the admin screen
+const DATA_QUALITY_CHECKS = [
+    'events-without-match',
+    'match-without-events',
+    'duplicate-game-id',
+    'invalid-winner',
+    'empty-roster',
+    'player-on-both-teams',
+    'invalid-team-num',
+    'player-not-in-roster'
+];
+
+// [{ type, table, game_id, ids, detail }]: ids are the rows to look at, detail says what is wrong with them
+function findDataQualityIssues(events, matches) {
+    const issues = [];
+    const add = (type, table, gameId, rows, detail) => issues.push({ type, table, game_id: gameId, ids: rows.map(r => r.id), detail });
+    const groupByGame = (rows) => {
+        const groups = new Map();
+        rows.forEach(r => {
+            if (!groups.has(r.game_id)) groups.set(r.game_id, []);
+            groups.get(r.game_id).push(r);
+        });
+        return groups;
+    };
+    const matchesByGame = groupByGame(matches);
+    const eventsByGame = groupByGame(events);
+
+    matchesByGame.forEach((rows, gameId) => {
+        if (!eventsByGame.has(gameId)) add('match-without-events', 'match_results', gameId, rows, 'No powerup events for this game');
+        if (rows.length > 1) add('duplicate-game-id', 'match_results', gameId, rows, `${rows.length} results share this game_id`);
+        rows.forEach(m => {
+            const rosters = [m.team0_players || [], m.team1_players || []];
+            if (m.winning_team !== 0 && m.winning_team !== 1) add('invalid-winner', 'match_results', gameId, [m], `winning_team is ${m.winning_team}`);
+            rosters.forEach((roster, team) => {
+                if (roster.length === 0) add('empty-roster', 'match_results', gameId, [m], `team${team}_players is empty`);
+            });
+            const both = rosters[0].filter(p => rosters[1].includes(p));
+            if (both.length > 0) add('player-on-both-teams', 'match_results', gameId, [m], both.join(', '));
+        });
+    });
+
+    eventsByGame.forEach((rows, gameId) => {
+        // A bad team_num is wrong whether or not the game has a result
+        rows.filter(e => e.team_num !== 0 && e.team_num !== 1).forEach(e => {
+            add('invalid-team-num', 'powerup_events', gameId, [e], `team_num is ${e.team_num} for ${e.player_name}`);
+        });
+        const gameMatches = matchesByGame.get(gameId);
+        if (!gameMatches) {
+            add('events-without-match', 'powerup_events', gameId, rows, `${rows.length} event${rows.length === 1 ? '' : 's'} without a result`);
+            return;
+        }
+        // One issue per missing player, however many of their events there are
+        const listed = new Set(gameMatches.flatMap(m => [...(m.team0_players || []), ...(m.team1_players || [])]));
+        const missing = new Map();
+        rows.filter(e => !listed.has(e.player_name)).forEach(e => {
+            if (!missing.has(e.player_name)) missing.set(e.player_name, []);
+            missing.get(e.player_name).push(e);
+        });
+        missing.forEach((playerRows, player) => add('player-not-in-roster', 'powerup_events', gameId, playerRows, `${player} is missing from the roster`));
+    });
+
+    return issues.sort((a, b) =>
+        DATA_QUALITY_CHECKS.indexOf(a.type) - DATA_QUALITY_CHECKS.indexOf(b.type) || String(a.game_id).localeCompare(String(b.game_id)));
+}
+
+// --- MANUAL MATCH ENTRY ---
+function isTeamNumber(value) {
+    return value === 0 || value === 1;
+}
+
+// An entry is { game_id, created_at, team0_players, team1_players, winning_team, goals: [{ player_name, team_num }] }.
+// Returns what is wrong with it, empty when it can be saved.
+function validateMatchEntry(entry, matches) {
+    const problems = [];
+    const rosters = [entry.team0_players, entry.team1_players];
+    if (!entry.game_id) problems.push('The game needs a game_id');
+    else if (matches.some(m => m.game_id === entry.game_id)) problems.push(`There already is a result for game_id ${entry.game_id}`);
+    if (Number.isNaN(new Date(entry.created_at).getTime())) problems.push('The game needs a date and time');
+    rosters.forEach((roster, team) => {
+        if (roster.length === 0) problems.push(`Team ${team} has no players`);
+    });
+    const both = rosters[0].filter(p => rosters[1].includes(p));
+    if (both.length > 0) problems.push(`${both.join(', ')} cannot play on both teams`);
+    if (entry.winning_team === null || entry.winning_team === undefined) problems.push('Pick the winning team');
+    else if (!isTeamNumber(entry.winning_team)) problems.push(`winning_team is ${entry.winning_team}, it must be 0 or 1`);
+    entry.goals.forEach(g => {
+        if (!isTeamNumber(g.team_num)) problems.push(`${g.player_name} scored for team ${g.team_num}, it must be 0 or 1`);
+        else if (!rosters[g.team_num].includes(g.player_name)) problems.push(`${g.player_name} scored for team ${g.team_num} but is not on it`);
+    });
+    return problems;
+}
+
+// What is wrong with the changes to one row on the admin screen: a team number is 0, 1 or
+// left empty. The number inputs say so too, but their min and max are not enforced on save.
+function validateRowChanges(changes) {
+    return ['winning_team', 'team_num']
+        .filter(field => field in changes && changes[field] !== null && !isTeamNumber(changes[field]))
+        .map(field => `${field} is ${changes[field]}, it must be 0, 1 or empty`);
+}
+
+// Rows to insert for a valid entry: the result, and a goal without a powerup for every scorer,
+// one second apart and ending at the result so the timeline keeps its order
+function buildMatchRows(entry) {
+    const end = new Date(entry.created_at).getTime();
+    return {
+        match: {
+            game_id: entry.game_id,
+            team0_players: entry.team0_players,
+            team1_players: entry.team1_players,
+            winning_team: entry.winning_team,
+            created_at: new Date(end).toISOString()
+        },
+        events: entry.goals.map((g, i) => ({
+            game_id: entry.game_id,
+            player_name: g.player_name,
+            team_num: g.team_num,
+            powerup_name: 'None',
+            event_type: 'Goal',
+            created_at: new Date(end - (entry.goals.length - i) * 1000).toISOString()
+        }))
+    };
+}
+
+// --- DASHBOARD ---
+// Every aggregate the dashboard renders from one set of scoped rows, in a single pass
+// so it can run in stats-worker.js and come back as one message
+function calculateDashboardStats(events, matches, pointsPerWin = SEASON_POINTS_PER_WIN) {
+    const powerups = calculatePowerupStats(events);
+    const teamStats = calculateTeamStatsByEvent(events, matches);
+    return {
+        standings: calculateStandings(events, matches, pointsPerWin),
+        powerups,
+        teamStats,
+        fairness: { players: calculateFairness(powerups.playerStats), teams: calculateFairness(teamStats) },
+        ratings: calculateRatings(matches),
+        modes: calculateModeSegments(events, matches),
+        impact: calculatePowerupImpact(events, matches),
+        matchList: calculateMatchList(events, matches),
+        records: calculateRecords(events, matches),
+        trends: Object.fromEntries(TREND_UNITS.map(unit => [unit, calculateTrends(events, matches, unit)]))
+    };
+}
+
+// The playday section for the night with the given game ids, from the scoped rows. `history` is
+// every match, for the recap's head-to-head.
+function calculatePlaydayStats(events, matches, history, gameIds) {
+    const ids = new Set(gameIds);
+    const playday = { matches: matches.filter(m => ids.has(m.game_id)), gameIds: ids };
+    const dayEvents = events.filter(e => ids.has(e.game_id));
+    const powerups = calculatePowerupStats(dayEvents);
+    const teamStats = calculateTeamStatsByEvent(dayEvents, playday.matches);
+    return {
+        modes: calculateModeSegments(dayEvents, playday.matches),
+        powerups,
+        teamStats,
+        fairness: { players: calculateFairness(powerups.playerStats), teams: calculateFairness(teamStats) },
+        recap: calculatePlaydayRecap(events, history, playday)
+    };
+}
+
+// What the page can ask stats-worker.js for, by name. `scoped` are the rows in the selected season
+// and filters, `all` every aliased row. Without a worker the page runs the same task itself.
+const STATS_TASKS = {
+    dashboard: (scoped, all, { pointsPerWin }) => calculateDashboardStats(scoped.events, scoped.matches, pointsPerWin),
+    playday: (scoped, all, { gameIds }) => calculatePlaydayStats(scoped.events, scoped.matches, all.matches, gameIds),
+    matchup: (scoped, all, pick) => calculateMatchup(scoped.events, scoped.matches, pick),
+    balancer: (scoped, all, { players }) => suggestTeams(all.matches, players)
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        teamKey,
+        normalizeAliases,
+        applyAliases,
+        summarizePlayers,
+        previewAliases,
+        POWERUP_DEFAULT_COLOR,
+        powerupIconPath,
+        normalizePowerupCatalog,
+        applyPowerupCatalog,
+        findUnknownPowerups,
+        calculatePowerupStats,
+        calculateTeamStatsByEvent,
+        calculateScorerStats,
+        calculateDuoStats,
+        calculateRivalries,
+        sideOf,
+        calculateOpponents,
+        calculateHeadToHead,
+        calculateMatchup,
+        FAIRNESS_ALPHA,
+        FAIRNESS_MIN_ACTIVATIONS,
+        chiSquarePValue,
+        wilsonInterval,
+        calculateFairness,
+        calculatePowerupImpact,
+        calculateMatchTimeline,
+        calculateMatchList,
+        PROFILE_MIN_GAMES,
+        PROFILE_MIN_USES,
+        calculateProfile,
+        PLAYDAY_GAP_HOURS,
+        groupMatchesIntoPlaydays,
+        RECAP_UPSET_MIN_MEETINGS,
+        calculatePlaydayRecap,
+        SEASON_POINTS_PER_WIN,
+        normalizeSeasons,
+        isSeasonArchived,
+        findCurrentSeason,
+        filterBySeason,
+        calculateStandings,
+        gameMode,
+        countGameModes,
+        calculateModeSegments,
+        hasActiveFilters,
+        applyFilters,
+        RATING_START,
+        RATING_K,
+        expectedScore,
+        calculateRatings,
+        ratingBefore,
+        BALANCER_SUGGESTIONS,
+        countPairGames,
+        suggestTeams,
+        HAT_TRICK_GOALS,
+        CURRENT_STREAK_MIN,
+        ACHIEVEMENTS,
+        recordHolders,
+        calculateRecords,
+        TREND_UNITS,
+        TREND_ROLLING_WINDOW,
+        weekStart,
+        trendSeries,
+        calculateTrends,
+        DATA_QUALITY_CHECKS,
+        findDataQualityIssues,
+        validateMatchEntry,
+        validateRowChanges,
+        buildMatchRows,
+        calculateDashboardStats,
+        calculatePlaydayStats,
+        STATS_TASKS
+    };
+}
@@ -0,0 +1,60 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { parseCsv, toCsv, parsePlayerList, tablesFromJson, normalizeTables } = require('../datasource.js');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+test('parseCsv handles quoted fields, doubled quotes and CRLF', () => {
+    const rows = parseCsv('name,note\r\n"Ana, B","say ""hi"""\r\nCeca,\r\n');
+
+    assert.deepEqual(rows, [
+        { name: 'Ana, B', note: 'say "hi"' },
+        { name: 'Ceca', note: '' }
+    ]);
+});
+
+test('toCsv quotes fields that need it and reads back with parseCsv', () => {
+    const rows = [
+        { team: 'Ana & Bojan', note: 'say "hi"', wins: 3 },
+        { team: 'Ceca, D', note: 'two\nlines', wins: 0 }
+    ];
+    const csv = toCsv(rows);
+
+    assert.equal(csv.split('\r\n')[0], 'team,note,wins');
+    assert.deepEqual(parseCsv(csv), rows.map(r => ({ ...r, wins: String(r.wins) })));
+    assert.equal(toCsv([]), '');
+});
+
+test('toCsv keeps spreadsheet formulas in text cells from running', () => {
+    const csv = toCsv([
+        { player: '=HYPERLINK("http://x","click")', note: '+1', diff: -2 },
+        { player: ['@Ana', 'Bojan'], note: '-cmd', diff: 0 }
+    ]);
+
+    assert.deepEqual(parseCsv(csv), [
+        { player: '\'=HYPERLINK("http://x","click")', note: '\'+1', diff: '-2' },
+        { player: '\'@Ana & Bojan', note: '\'-cmd', diff: '0' }
+    ]);
+});
+
+test('parsePlayerList reads arrays, JSON text and Postgres array literals', () => {
+    assert.deepEqual(parsePlayerList(['Ana']), ['Ana']);
+    assert.deepEqual(parsePlayerList('["Ana","Bojan"]'), ['Ana', 'Bojan']);
+    assert.deepEqual(parsePlayerList('{Ana,"Big \\"B\\"",Ceca}'), ['Ana', 'Big "B"', 'Ceca']);
+    assert.deepEqual(parsePlayerList('{}'), []);
+    assert.deepEqual(parsePlayerList(null), []);
+});
+
+test('CSV exports load into the same rows as the JSON export', () => {
+    const fromJson = tablesFromJson(fixture('sample.json'));
+    const fromCsv = normalizeTables({
+        events: parseCsv(fixture('powerup_events.csv')),
+        matches: parseCsv(fixture('match_results.csv'))
+    });
+
+    assert.deepEqual(fromCsv, fromJson);
+});
@@ -0,0 +1,28 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { escapeHtml, html, joinHtml } = require('../html.js');
+
+test('escapeHtml escapes markup and quotes', () => {
+    assert.equal(escapeHtml(`<b>O'Neil & "Co"</b>`), '&lt;b&gt;O&#39;Neil &amp; &quot;Co&quot;&lt;/b&gt;');
+    assert.equal(escapeHtml(42), '42');
+});
+
+test('html escapes values but keeps nested markup', () => {
+    const name = `"><img src=x onerror=alert(1)>`;
+    const row = html`<td title="${name}">${html`<b>${name}</b>`}</td>`;
+
+    assert.equal(String(row), '<td title="&quot;&gt;&lt;img src=x onerror=alert(1)&gt;"><b>&quot;&gt;&lt;img src=x onerror=alert(1)&gt;</b></td>');
+});
+
+test('html renders arrays item by item and skips empty values', () => {
+    const items = ['A&B', 'C'].map(n => html`<li>${n}</li>`);
+
+    assert.equal(String(html`<ul>${items}</ul>`), '<ul><li>A&amp;B</li><li>C</li></ul>');
+    assert.equal(String(html`${null}${undefined}${false}${0}`), '0');
+});
+
+test('joinHtml joins markup with an escaped separator', () => {
+    assert.equal(String(joinHtml([html`<a>x</a>`, 'y<'], ' & ')), '<a>x</a> &amp; y&lt;');
+});
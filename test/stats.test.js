@@ -0,0 +1,668 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const stats = require('../stats.js');
+const { powerup_events: events, match_results: matches } = require('./fixtures/sample.json');
+
+test('calculatePowerupStats counts activations and powerup goals per player', () => {
+    const { totalUsage, playerStats } = stats.calculatePowerupStats(events);
+
+    assert.deepEqual(totalUsage, { Kaktus: 4, Magnet: 3, Boost: 2, Freeze: 1 });
+    assert.deepEqual(playerStats.Ana, {
+        Kaktus: { used: 1, goals: 1 },
+        Magnet: { used: 1, goals: 0 },
+        Boost: { used: 1, goals: 1 },
+        Freeze: { used: 1, goals: 0 }
+    });
+    // Goals without a powerup are not credited to any powerup
+    assert.deepEqual(playerStats.Bojan.None, { used: 0, goals: 0 });
+});
+
+test('calculateTeamStatsByEvent maps events to rosters and skips unknown games', () => {
+    const teamStats = stats.calculateTeamStatsByEvent(events, matches);
+
+    assert.deepEqual(Object.keys(teamStats).sort(), ['Ana & Bojan', 'Ana & Ceca', 'Bojan & Dule', 'Ceca & Dule']);
+    assert.deepEqual(teamStats['Ana & Bojan'].Kaktus, { used: 2, goals: 1 });
+    assert.deepEqual(teamStats['Ceca & Dule'].Magnet, { used: 2, goals: 0 });
+    assert.equal(teamStats['Ana & Bojan'].Freeze, undefined);
+});
+
+test('calculateTeamStatsByEvent does not reorder the match rosters', () => {
+    const copy = JSON.parse(JSON.stringify(matches));
+    stats.calculateTeamStatsByEvent(events, copy);
+    assert.deepEqual(copy[1].team0_players, ['Bojan', 'Ana']);
+});
+
+test('calculateScorerStats sorts by goals and counts rumble goals', () => {
+    const scorers = Object.fromEntries(stats.calculateScorerStats(events));
+
+    assert.equal(stats.calculateScorerStats(events)[0][0], 'Ana');
+    assert.deepEqual(scorers.Ana, { total: 2, rumble: 2 });
+    assert.deepEqual(scorers.Bojan, { total: 1, rumble: 0 });
+    assert.deepEqual(scorers.Dule, { total: 1, rumble: 0 });
+});
+
+test('calculateDuoStats treats both roster orders as the same duo', () => {
+    const duos = stats.calculateDuoStats(matches);
+    const byName = Object.fromEntries(duos.map(d => [d.name, d]));
+
+    assert.deepEqual(byName['Ana & Bojan'], { name: 'Ana & Bojan', games: 3, wins: 2, losses: 1 });
+    assert.deepEqual(byName['Ceca & Dule'], { name: 'Ceca & Dule', games: 3, wins: 1, losses: 2 });
+    assert.equal(duos.length, 4);
+});
+
+test('calculateRivalries keeps one record per pairing', () => {
+    const rivalries = stats.calculateRivalries(matches);
+
+    assert.deepEqual(rivalries[0], { teamA: 'Ana & Bojan', teamB: 'Ceca & Dule', winsA: 2, winsB: 1, games: 3 });
+    assert.deepEqual(rivalries[1], { teamA: 'Ana & Ceca', teamB: 'Bojan & Dule', winsA: 1, winsB: 0, games: 1 });
+});
+
+test('groupMatchesIntoPlaydays keeps a session running past midnight together', () => {
+    const playdays = stats.groupMatchesIntoPlaydays(matches);
+
+    assert.equal(playdays.length, 2);
+    assert.deepEqual(playdays[0].matches.map(m => m.game_id), ['g1', 'g2', 'g3']);
+    assert.deepEqual([...playdays[1].gameIds], ['g4']);
+});
+
+test('groupMatchesIntoPlaydays splits on gaps longer than PLAYDAY_GAP_HOURS', () => {
+    const gap = stats.PLAYDAY_GAP_HOURS * 3600 * 1000;
+    const at = (ms) => new Date(Date.UTC(2026, 0, 1) + ms).toISOString();
+    const playdays = stats.groupMatchesIntoPlaydays([
+        { game_id: 'a', created_at: at(0) },
+        { game_id: 'b', created_at: at(gap) },
+        { game_id: 'c', created_at: at(2 * gap + 1) }
+    ]);
+
+    assert.deepEqual(playdays.map(p => p.matches.length), [2, 1]);
+});
+
+test('calculateRatings moves both sides by the same amount', () => {
+    const { players, duos } = stats.calculateRatings(matches.slice(0, 1));
+
+    assert.equal(players.Ana.rating, stats.RATING_START + stats.RATING_K / 2);
+    assert.equal(players.Dule.rating, stats.RATING_START - stats.RATING_K / 2);
+    assert.equal(duos['Ana & Bojan'].rating, stats.RATING_START + stats.RATING_K / 2);
+});
+
+test('calculateRatings replays matches in chronological order', () => {
+    const { players } = stats.calculateRatings([...matches].reverse());
+    const total = Object.values(players).reduce((sum, p) => sum + p.rating, 0);
+
+    assert.equal(players.Ana.games, 4);
+    assert.deepEqual(players.Ana.history.map(h => h.time), matches.map(m => m.created_at));
+    assert.ok(Math.abs(total - 4 * stats.RATING_START) < 1e-9);
+});
+
+test('ratingBefore returns the rating from before the given time', () => {
+    const { players } = stats.calculateRatings(matches);
+
+    assert.equal(stats.ratingBefore(players.Ana, new Date('2026-03-01')), stats.RATING_START);
+    assert.equal(stats.ratingBefore(players.Ana, new Date('2026-03-06T22:00:00Z')), players.Ana.history[0].rating);
+});
+
+test('calculateOpponents lists opponents by number of meetings', () => {
+    assert.deepEqual(stats.calculateOpponents(matches, 'Ana & Bojan', 'team'), [{ name: 'Ceca & Dule', games: 3 }]);
+    assert.deepEqual(stats.calculateOpponents(matches, 'Ana', 'player'), [
+        { name: 'Dule', games: 4 },
+        { name: 'Ceca', games: 3 },
+        { name: 'Bojan', games: 1 }
+    ]);
+});
+
+test('calculateHeadToHead counts record, goals and powerups of two teams', () => {
+    const h2h = stats.calculateHeadToHead(events, matches, 'Ceca & Dule', 'Ana & Bojan', 'team');
+
+    assert.equal(h2h.games, 3);
+    assert.equal(h2h.winsA, 1);
+    assert.equal(h2h.winsB, 2);
+    assert.equal(h2h.goalsA, 2);
+    assert.equal(h2h.goalsB, 2);
+    assert.deepEqual(h2h.powerupsA, { Magnet: { used: 2, goals: 0 }, Kaktus: { used: 1, goals: 1 } });
+    assert.deepEqual(h2h.meetings.map(m => m.winner), ['B', 'A', 'B']);
+});
+
+test('calculateHeadToHead only counts a player\'s own events', () => {
+    const h2h = stats.calculateHeadToHead(events, matches, 'Ana', 'Bojan', 'player');
+
+    assert.equal(h2h.games, 1);
+    assert.equal(h2h.winsA, 1);
+    assert.equal(h2h.goalsA, 1);
+    assert.deepEqual(h2h.powerupsA, { Boost: { used: 1, goals: 1 } });
+    assert.deepEqual(h2h.powerupsB, {});
+});
+
+test('calculateProfile summarises a player', () => {
+    const profile = stats.calculateProfile(events, matches, 'Ana', 'player');
+
+    assert.deepEqual(profile.totals, { games: 4, wins: 3, losses: 1, goals: 2, rumbleGoals: 2, activations: 3 });
+    assert.equal(profile.playdays.length, 2);
+    assert.deepEqual(profile.playdays[1], { label: profile.playdays[1].label, start: profile.playdays[1].start, games: 3, wins: 2, goals: 2 });
+    assert.equal(profile.teammates.best.name, 'Bojan');
+    assert.deepEqual(profile.recent.map(r => r.game_id), ['g4', 'g3', 'g2', 'g1']);
+    assert.deepEqual(profile.recent[3], {
+        game_id: 'g1', created_at: matches[0].created_at, won: true,
+        teammates: ['Bojan'], opponents: ['Ceca', 'Dule'], goals: 1, teamGoals: 2, opponentGoals: 0
+    });
+});
+
+test('games without a result count for neither side in head-to-heads and profiles', () => {
+    // An admin can save a game before its result is known
+    const open = { id: 7, game_id: 'g5', team0_players: ['Ana', 'Bojan'], team1_players: ['Ceca', 'Dule'], winning_team: null, created_at: '2026-03-14T21:00:00+00:00' };
+    const goal = { id: 16, game_id: 'g5', player_name: 'Ana', team_num: 0, powerup_name: 'None', event_type: 'Goal', created_at: '2026-03-14T20:58:00+00:00' };
+    const withOpen = [...matches, open];
+
+    const h2h = stats.calculateHeadToHead([...events, goal], withOpen, 'Ana & Bojan', 'Ceca & Dule', 'team');
+    assert.deepEqual({ games: h2h.games, winsA: h2h.winsA, winsB: h2h.winsB, goalsA: h2h.goalsA }, { games: 3, winsA: 2, winsB: 1, goalsA: 2 });
+    assert.ok(h2h.meetings.every(m => m.game_id !== 'g5'));
+
+    const profile = stats.calculateProfile([...events, goal], withOpen, 'Dule', 'player');
+    assert.deepEqual({ games: profile.totals.games, losses: profile.totals.losses }, { games: 4, losses: 3 });
+    assert.deepEqual(profile.recent.map(r => r.won), [false, false, true, false]);
+
+    assert.deepEqual(stats.calculateDuoStats(withOpen), stats.calculateDuoStats(matches));
+    assert.deepEqual(stats.calculateRivalries(withOpen), stats.calculateRivalries(matches));
+});
+
+test('calculateProfile picks favourite and most efficient powerups', () => {
+    const profile = stats.calculateProfile(events, matches, 'Ana & Bojan', 'team');
+
+    assert.equal(profile.totals.games, 3);
+    assert.equal(profile.favourite.name, 'Kaktus');
+    // Nothing reaches PROFILE_MIN_USES in the fixture, so every powerup is considered
+    assert.equal(profile.mostEfficient.name, 'Kaktus');
+    assert.equal(profile.opponents.best.name, 'Ceca & Dule');
+    assert.equal(profile.teammates.best, null);
+});
+
+test('chiSquarePValue matches textbook critical values', () => {
+    assert.ok(Math.abs(stats.chiSquarePValue(3.841, 1) - 0.05) < 1e-3);
+    assert.ok(Math.abs(stats.chiSquarePValue(11.070, 5) - 0.05) < 1e-3);
+    assert.ok(Math.abs(stats.chiSquarePValue(23.209, 10) - 0.01) < 1e-3);
+    assert.equal(stats.chiSquarePValue(0, 4), 1);
+});
+
+test('wilsonInterval brackets the observed share', () => {
+    const { low, high } = stats.wilsonInterval(10, 100);
+    assert.ok(Math.abs(low - 0.0552) < 1e-3);
+    assert.ok(Math.abs(high - 0.1744) < 1e-3);
+});
+
+test('calculateFairness flags skewed draws and marks small samples inconclusive', () => {
+    const even = { A: { used: 30, goals: 0 }, B: { used: 30, goals: 0 } };
+    const result = stats.calculateFairness({
+        Fair1: even,
+        Fair2: even,
+        Fair3: even,
+        Fair4: even,
+        Lucky: { A: { used: 55, goals: 0 }, B: { used: 5, goals: 0 } },
+        Rookie: { A: { used: 4, goals: 0 }, B: { used: 1, goals: 0 } }
+    });
+    const byName = Object.fromEntries(result.results.map(r => [r.name, r]));
+
+    assert.equal(byName.Lucky.verdict, 'unusual');
+    assert.equal(byName.Lucky.deviation.powerup, 'B');
+    assert.equal(byName.Fair1.verdict, 'fair');
+    assert.equal(byName.Rookie.verdict, 'inconclusive');
+    assert.equal(result.results[0].name, 'Lucky');
+    assert.equal(result.results[result.results.length - 1].name, 'Rookie');
+    // Bonferroni over the five conclusive entities
+    assert.equal(result.threshold, stats.FAIRNESS_ALPHA / 5);
+});
+
+test('calculatePowerupImpact credits wins to the team that used a powerup more', () => {
+    const impact = stats.calculatePowerupImpact(events, matches);
+    const byName = Object.fromEntries(impact.powerups.map(p => [p.name, p]));
+
+    // Kaktus was out-used in g1 (won), g2 (won), g3 (lost) and g4 (won)
+    assert.deepEqual(
+        { games: byName.Kaktus.games, wins: byName.Kaktus.wins, used: byName.Kaktus.used, goals: byName.Kaktus.goals },
+        { games: 4, wins: 3, used: 4, goals: 2 }
+    );
+    // Magnet was tied 1-1 in g2, so only g1 counts
+    assert.equal(byName.Magnet.games, 1);
+    assert.equal(byName.Magnet.wins, 0);
+    assert.equal(impact.totalGoals, 5);
+    // g1 team 0 scored 2 (1 with Kaktus), g2 team 1 scored 1 (with Kaktus), g3 and g4 holders scored none
+    assert.equal(byName.Kaktus.goalShare, 2 / 3);
+    assert.equal(byName.Kaktus.outUsedGoalShare, 2 / 3);
+    // Boost: 1 of team 0's 3 goals in g1 and g3
+    assert.equal(byName.Boost.goalShare, 1 / 3);
+    // Magnet's out-using team in g1 scored nothing, so there is no share to report
+    assert.equal(byName.Magnet.goalShare, 0);
+    assert.equal(byName.Magnet.outUsedGoalShare, null);
+    assert.equal(byName.Freeze, undefined);
+});
+
+test('calculatePowerupImpact splits the impact by player', () => {
+    const { players } = stats.calculatePowerupImpact(events, matches);
+    const ana = Object.fromEntries(players.Ana.map(p => [p.name, p]));
+
+    assert.deepEqual({ games: ana.Kaktus.games, wins: ana.Kaktus.wins }, { games: 2, wins: 2 });
+    // Ana's Boost goal against her team's goals in g1 and g3
+    assert.equal(ana.Boost.goalShare, 1 / 3);
+    assert.equal(ana.Kaktus.outUsedGoalShare, 1 / 2);
+});
+
+test('calculateMatchTimeline orders events and keeps a running score', () => {
+    const timeline = stats.calculateMatchTimeline(events, matches[0]);
+
+    assert.deepEqual(timeline.entries.map(e => e.id), [1, 2, 3, 4, 5]);
+    assert.deepEqual(timeline.entries[1].score, [1, 0]);
+    assert.equal(timeline.entries[1].powerup, 'Kaktus');
+    assert.equal(timeline.entries[4].powerup, null);
+    assert.deepEqual(timeline.goals, [2, 0]);
+    assert.equal(timeline.flagged, 0);
+});
+
+test('calculateMatchTimeline flags rows that do not add up', () => {
+    const match = { game_id: 'gx', team0_players: ['Ana'], team1_players: ['Ceca'], winning_team: 1, created_at: '2026-03-06T21:00:00+00:00' };
+    const row = (id, player_name, team_num, event_type, powerup_name) =>
+        ({ id, game_id: 'gx', player_name, team_num, event_type, powerup_name, created_at: '2026-03-06T20:50:00+00:00' });
+    const timeline = stats.calculateMatchTimeline([
+        row(1, 'Ana', 1, 'Activation', 'Boost'),
+        row(2, 'Ana', 0, 'Goal', 'Magnet'),
+        row(3, 'Ana', 0, 'Goal', 'Magnet'),
+        row(4, 'Zoran', 3, 'Activation', 'Boost')
+    ], match);
+
+    assert.match(timeline.entries[0].issues[0], /listed on team 0/);
+    assert.match(timeline.entries[1].issues[0], /No earlier Magnet/);
+    assert.ok(timeline.entries[2].issues.some(i => /duplicate/.test(i)));
+    assert.equal(timeline.entries[3].issues.length, 2);
+    assert.match(timeline.issues[0], /winner scored fewer goals/);
+    assert.equal(timeline.flagged, 5);
+});
+
+test('calculateMatchList lists every match newest first', () => {
+    const list = stats.calculateMatchList(events, matches);
+
+    assert.deepEqual(list.map(m => m.game_id), ['g4', 'g3', 'g2', 'g1']);
+    assert.equal(list[0].issues.length, 1);
+});
+
+test('normalizeSeasons treats both ends as whole local days', () => {
+    const [season] = stats.normalizeSeasons([{ name: 'March', start: '2026-03-01', end: '2026-03-07' }]);
+
+    assert.deepEqual(season.start, new Date(2026, 2, 1));
+    assert.deepEqual(season.end, new Date(2026, 2, 8));
+    assert.equal(season.pointsPerWin, stats.SEASON_POINTS_PER_WIN);
+    assert.equal(stats.isSeasonArchived(season, new Date(2026, 2, 7, 23)), false);
+    assert.equal(stats.isSeasonArchived(season, new Date(2026, 2, 8)), true);
+});
+
+test('findCurrentSeason picks the season running at the given time', () => {
+    const seasons = stats.normalizeSeasons([
+        { name: 'Later', start: '2026-04-01' },
+        { name: 'First', start: '2026-01-01', end: '2026-03-31' }
+    ]);
+
+    assert.deepEqual(seasons.map(s => s.name), ['First', 'Later']);
+    assert.equal(stats.findCurrentSeason(seasons, new Date(2026, 2, 15)).name, 'First');
+    assert.equal(stats.findCurrentSeason(seasons, new Date(2027, 0, 1)).name, 'Later');
+    assert.equal(stats.findCurrentSeason(seasons, new Date(2025, 0, 1)), null);
+});
+
+test('filterBySeason keeps season matches with their events', () => {
+    const season = { name: 'Week 1', start: new Date('2026-03-06T00:00:00Z'), end: new Date('2026-03-08T00:00:00Z') };
+    const scoped = stats.filterBySeason(events, matches, season);
+
+    assert.deepEqual(scoped.matches.map(m => m.game_id), ['g1', 'g2', 'g3']);
+    assert.equal(scoped.events.length, 12);
+});
+
+test('calculateStandings ranks by points, then goal difference', () => {
+    const standings = stats.calculateStandings(events, matches, 3);
+    const ana = standings.find(r => r.name === 'Ana');
+
+    assert.equal(standings[0].name, 'Ana');
+    assert.deepEqual(
+        { games: ana.games, wins: ana.wins, points: ana.points, goalsFor: ana.goalsFor, goalsAgainst: ana.goalsAgainst, goalDiff: ana.goalDiff },
+        { games: 4, wins: 3, points: 9, goalsFor: 3, goalsAgainst: 2, goalDiff: 1 }
+    );
+    assert.deepEqual(ana.form, ['W', 'W', 'L', 'W']);
+    // Bojan and Ceca both have 2 wins, Ceca's goal difference is better
+    assert.deepEqual(standings.slice(1, 3).map(r => r.name), ['Ceca', 'Bojan']);
+});
+
+test('gameMode reads the mode from the roster sizes', () => {
+    assert.equal(stats.gameMode(matches[0]), '2v2');
+    assert.equal(stats.gameMode({ team0_players: ['Ana'], team1_players: ['Ceca', 'Dule'] }), '2v1');
+});
+
+test('calculateModeSegments keeps each mode in its own tables', () => {
+    const mixed = [...matches, { id: 9, game_id: 'g9', team0_players: ['Ana'], team1_players: ['Bojan'], winning_team: 1, created_at: '2026-03-13T20:00:00+00:00' }];
+    const logged = [...events, { id: 99, game_id: 'g9', player_name: 'Bojan', team_num: 1, powerup_name: 'None', event_type: 'Goal', created_at: '2026-03-13T20:01:00+00:00' }];
+
+    assert.deepEqual(stats.countGameModes(mixed), [{ mode: '2v2', games: 4 }, { mode: '1v1', games: 1 }]);
+    const [twos, ones] = stats.calculateModeSegments(logged, mixed);
+    assert.equal(twos.mode, '2v2');
+    assert.deepEqual(twos.duos, stats.calculateDuoStats(matches));
+    assert.deepEqual(ones.duos.map(d => d.name), ['Ana', 'Bojan']);
+    assert.deepEqual(ones.rivalries, [{ teamA: 'Ana', teamB: 'Bojan', winsA: 0, winsB: 1, games: 1 }]);
+    assert.deepEqual(ones.scorers, [['Bojan', { total: 1, rumble: 0 }]]);
+});
+
+test('applyFilters narrows matches by date, players and teams', () => {
+    const ids = (filters) => stats.applyFilters(events, matches, filters).matches.map(m => m.game_id);
+
+    assert.equal(stats.hasActiveFilters({ players: [], teams: [] }), false);
+    assert.deepEqual(ids({ from: '2026-03-08', to: '2026-03-20' }), ['g4']);
+    assert.deepEqual(ids({ to: '2026-03-05' }), []);
+    assert.deepEqual(ids({ players: ['Ana', 'Ceca'] }), ['g1', 'g2', 'g3', 'g4']);
+    assert.deepEqual(ids({ teams: ['Ana & Ceca'] }), ['g3']);
+    assert.deepEqual(ids({ teams: ['Ana & Bojan'], mode: '2v2' }), ['g1', 'g2', 'g4']);
+    assert.deepEqual(ids({ mode: '1v1' }), []);
+});
+
+test('applyFilters drops orphan events only when filtering by match details', () => {
+    assert.ok(stats.applyFilters(events, matches, {}).events.some(e => e.game_id === 'g99'));
+    assert.ok(!stats.applyFilters(events, matches, { players: ['Ana'] }).events.some(e => e.game_id === 'g99'));
+});
+
+test('applyFilters keeps only events of the selected powerups', () => {
+    const scoped = stats.applyFilters(events, matches, { powerups: ['Kaktus'] });
+
+    assert.equal(scoped.matches.length, 4);
+    assert.ok(scoped.events.every(e => e.powerup_name === 'Kaktus'));
+    assert.equal(scoped.events.length, 6);
+});
+
+test('normalizeAliases resolves chains and drops cycles and self-references', () => {
+    const aliases = stats.normalizeAliases([
+        { alias: 'ana_old', canonical: 'Ana2' },
+        { alias: 'Ana2', canonical: 'Ana' },
+        { alias: 'Ana', canonical: 'Ana' },
+        { alias: 'X', canonical: 'Y' },
+        { alias: 'Y', canonical: 'X' },
+        { alias: ' ', canonical: 'Nobody' }
+    ]);
+
+    assert.deepEqual(aliases, { ana_old: 'Ana', Ana2: 'Ana' });
+});
+
+test('applyAliases renames events and rosters and keeps the raw name', () => {
+    const { events: renamed, matches: renamedMatches } = stats.applyAliases(
+        events,
+        [{ ...matches[0], team0_players: ['Ana', 'Bojan', 'Bojan2'] }],
+        { Bojan2: 'Bojan', Ceca: 'Cecilija' }
+    );
+
+    assert.deepEqual(renamedMatches[0].team0_players, ['Ana', 'Bojan']);
+    assert.deepEqual(renamedMatches[0].team1_players, ['Cecilija', 'Dule']);
+    const cecaEvent = renamed.find(e => e.id === 3);
+    assert.equal(cecaEvent.player_name, 'Cecilija');
+    assert.equal(cecaEvent.raw_player_name, 'Ceca');
+    assert.equal(renamed.find(e => e.id === 1).raw_player_name, undefined);
+});
+
+test('previewAliases shows the merged player before and after', () => {
+    const preview = stats.previewAliases(events, matches, {}, { Bojan: 'Ana' });
+
+    assert.deepEqual(preview.before.players.map(p => [p.name, p.games]), [['Ana', 4], ['Bojan', 4]]);
+    // Ana and Bojan played together or against each other in every game, each counts once
+    assert.deepEqual(preview.after.players.map(p => [p.name, p.games, p.goals]), [['Ana', 4, 3]]);
+    assert.ok(preview.after.duos < preview.before.duos);
+});
+
+test('calculateDashboardStats bundles the aggregates and survives a worker message', () => {
+    const dashboard = stats.calculateDashboardStats(events, matches, 2);
+
+    assert.deepEqual(dashboard.standings, stats.calculateStandings(events, matches, 2));
+    assert.deepEqual(dashboard.powerups, stats.calculatePowerupStats(events));
+    assert.deepEqual(dashboard.modes.map(m => m.mode), ['2v2']);
+    assert.deepEqual(dashboard.modes[0].duos, stats.calculateDuoStats(matches));
+    assert.deepEqual(dashboard.matchList.map(m => m.game_id), ['g4', 'g3', 'g2', 'g1']);
+    assert.deepEqual(dashboard.fairness.players, stats.calculateFairness(dashboard.powerups.playerStats));
+    // Posted from stats-worker.js, so it must be plain data
+    assert.deepEqual(structuredClone(dashboard), dashboard);
+});
+
+test('STATS_TASKS run the playday, matchup and balancer aggregations on scoped and full rows', () => {
+    const [firstNight] = stats.groupMatchesIntoPlaydays(matches);
+    const scoped = { events, matches: matches.slice(0, 3) };
+    const all = { events, matches };
+
+    const day = stats.STATS_TASKS.playday(scoped, all, { gameIds: [...firstNight.gameIds] });
+    const dayEvents = events.filter(e => firstNight.gameIds.has(e.game_id));
+    assert.deepEqual(day.powerups, stats.calculatePowerupStats(dayEvents));
+    assert.deepEqual(day.fairness.teams, stats.calculateFairness(stats.calculateTeamStatsByEvent(dayEvents, firstNight.matches)));
+    assert.deepEqual(day.recap, stats.calculatePlaydayRecap(events, matches, firstNight));
+
+    // The balancer rates players on every game, whatever the scope
+    assert.deepEqual(stats.STATS_TASKS.balancer(scoped, all, { players: ['Ana', 'Ceca'] }), stats.suggestTeams(matches, ['Ana', 'Ceca']));
+
+    for (const result of [day, stats.STATS_TASKS.matchup(scoped, all, { kind: 'team', a: null, b: null, top: null })]) {
+        assert.deepEqual(structuredClone(result), result);
+    }
+});
+
+test('calculateMatchup fills in a missing pick and compares the two sides', () => {
+    const top = { teamA: 'Ana & Bojan', teamB: 'Ceca & Dule' };
+    const teams = stats.calculateMatchup(events, matches, { kind: 'team', a: null, b: null, top });
+    assert.deepEqual([teams.a, teams.b], ['Ana & Bojan', 'Ceca & Dule']);
+    assert.deepEqual(teams.h2h, stats.calculateHeadToHead(events, matches, 'Ana & Bojan', 'Ceca & Dule', 'team'));
+
+    // Ana has met Dule most, so a side B she never met becomes Dule
+    const players = stats.calculateMatchup(events, matches, { kind: 'player', a: 'Ana', b: 'Zoran', top: null });
+    assert.deepEqual([players.a, players.b], ['Ana', 'Dule']);
+    assert.deepEqual(players.names, ['Ana', 'Bojan', 'Ceca', 'Dule']);
+    assert.deepEqual(players.opponents, stats.calculateOpponents(matches, 'Ana', 'player'));
+
+    const empty = stats.calculateMatchup([], [], { kind: 'player', a: null, b: null, top: null });
+    assert.deepEqual([empty.a, empty.b, empty.h2h], [null, null, null]);
+});
+
+test('normalizePowerupCatalog fills defaults and resolves aliases', () => {
+    const catalog = stats.normalizePowerupCatalog([
+        { name: 'Kaktus', color: '#ef4444', aliases: ['Cactus', 'Kaktus'] },
+        { name: 'Magnet', aliases: ['Kaktus'] },
+        { name: 'Kaktus', color: '#000000' }
+    ]);
+
+    assert.deepEqual(catalog.order, ['Kaktus', 'Magnet']);
+    assert.equal(catalog.powerups.Kaktus.color, '#ef4444');
+    assert.equal(catalog.powerups.Magnet.color, stats.POWERUP_DEFAULT_COLOR);
+    assert.equal(catalog.powerups.Magnet.icon, 'assets/magnet.webp');
+    // Another entry's name is never treated as an alias
+    assert.deepEqual(catalog.aliases, { Cactus: 'Kaktus' });
+});
+
+test('applyPowerupCatalog renames aliases and findUnknownPowerups reports the rest', () => {
+    const catalog = stats.normalizePowerupCatalog([
+        { name: 'Kaktus', aliases: ['Cactus'] }, { name: 'Magnet' }, { name: 'Boost' }
+    ]);
+    const logged = [
+        ...events,
+        { id: 90, game_id: 'g1', player_name: 'Ana', team_num: 0, powerup_name: 'Cactus', event_type: 'Activation', created_at: '2026-03-06T20:55:30+00:00' }
+    ];
+    const renamed = stats.applyPowerupCatalog(logged, catalog);
+
+    assert.equal(renamed.find(e => e.id === 90).powerup_name, 'Kaktus');
+    assert.equal(renamed.find(e => e.id === 90).raw_powerup_name, 'Cactus');
+    // Goals without a powerup are not unknown powerups
+    assert.deepEqual(stats.findUnknownPowerups(renamed, catalog).map(p => [p.name, p.events]), [['Freeze', 1]]);
+});
+
+test('suggestTeams ranks splits by predicted balance and counts games together', () => {
+    const { suggestions, unrated } = stats.suggestTeams(matches, ['Dule', 'Ana', 'Ceca', 'Bojan', 'Ana']);
+
+    assert.equal(suggestions.length, 3);
+    // Every split of four players into two duos, each counted once
+    const splits = suggestions.map(s => s.teams.map(t => t.players.join(' & ')).join(' vs '));
+    assert.deepEqual(splits, ['Ana & Dule vs Bojan & Ceca', 'Ana & Bojan vs Ceca & Dule', 'Ana & Ceca vs Bojan & Dule']);
+    assert.ok(suggestions.every((s, i) => i === 0 || s.gap >= suggestions[i - 1].gap));
+    assert.ok(suggestions.every(s => Math.abs(s.teams[0].winProbability + s.teams[1].winProbability - 1) < 1e-9));
+    // Ana and Dule never played on the same team
+    assert.deepEqual(suggestions[0].teams[0].pairs, [{ players: ['Ana', 'Dule'], games: 0 }]);
+    assert.deepEqual(suggestions[1].teams[0].pairs, [{ players: ['Ana', 'Bojan'], games: 3 }]);
+    assert.deepEqual(unrated, []);
+
+    assert.deepEqual(stats.suggestTeams(matches, ['Ana', 'Zoran']).unrated, ['Zoran']);
+});
+
+test('suggestTeams keeps up with a big group', () => {
+    // 92378 splits: every one is rated, only the returned ones are described
+    const players = ['Ana', 'Bojan', 'Ceca', 'Dule', ...Array.from({ length: 16 }, (_, i) => `Guest ${i + 1}`)];
+    const start = Date.now();
+    const { suggestions } = stats.suggestTeams(matches, players);
+
+    assert.ok(Date.now() - start < 5000, `took ${Date.now() - start} ms`);
+    assert.equal(suggestions.length, 3);
+    assert.ok(suggestions.every(s => s.teams[0].players.length === 10 && s.teams[1].players.length === 10));
+    assert.ok(suggestions.every((s, i) => i === 0 || s.gap >= suggestions[i - 1].gap));
+});
+
+test('calculateRecords tracks streaks, single-game records and first achievements', () => {
+    const hatTrick = [1, 2, 3].map(i => ({
+        id: 100 + i, game_id: 'g4', player_name: 'Bojan', team_num: 0, powerup_name: i === 2 ? 'Boost' : 'None', event_type: 'Goal', created_at: `2026-03-13T20:5${i}:00+00:00`
+    }));
+    const records = stats.calculateRecords([...events, ...hatTrick], matches);
+    const player = (name) => records.players.find(p => p.name === name);
+
+    // Ana: W L W W, Dule: L W L L
+    assert.deepEqual(player('Ana').current, { result: 'W', length: 2, from: '2026-03-07T00:40:00+00:00', to: '2026-03-13T21:00:00+00:00' });
+    assert.equal(player('Ana').longestWin.length, 2);
+    assert.equal(player('Dule').longestLoss.length, 2);
+    assert.equal(records.duos.find(d => d.name === 'Ana & Bojan').games, 3);
+
+    assert.deepEqual(records.bestGames[0], { player: 'Bojan', game_id: 'g4', goals: 3, time: '2026-03-13T20:51:00+00:00' });
+    assert.deepEqual(records.hatTricks.map(h => h.player), ['Bojan']);
+    assert.equal(player('Bojan').hatTricks, 1);
+    assert.deepEqual(player('Bojan').achievements.map(a => a.id), ['first-goal', 'first-win', 'powerup-goal', 'hat-trick']);
+    assert.deepEqual(records.firsts.find(f => f.id === 'hat-trick'), { id: 'hat-trick', player: 'Bojan', time: '2026-03-13T20:53:00+00:00', game_id: 'g4' });
+    assert.deepEqual(stats.recordHolders(records.players, p => p.longestWin.length).map(p => p.name), ['Ana', 'Ceca']);
+});
+
+test('calculateRecords picks the streak records of players, duos and the runs going on now', () => {
+    const g5 = { id: 7, game_id: 'g5', team0_players: ['Ana', 'Bojan'], team1_players: ['Ceca', 'Dule'], winning_team: 0, created_at: '2026-03-14T21:00:00+00:00' };
+    const { streaks } = stats.calculateRecords(events, [...matches, g5]);
+    const names = (holders) => holders.map(h => h.name);
+
+    // Ana: W L W W W, Bojan: W L L W W, Ceca: L W W L L, Dule: L W L L L
+    assert.deepEqual(names(streaks.players.longestWin), ['Ana']);
+    assert.deepEqual(names(streaks.players.longestLoss), ['Dule']);
+    // Ana & Bojan: W L W W, Ceca & Dule: L W L L
+    assert.deepEqual(streaks.duos.longestWin, [{ name: 'Ana & Bojan', duo: true, length: 2, from: '2026-03-13T21:00:00+00:00', to: '2026-03-14T21:00:00+00:00' }]);
+    assert.deepEqual(names(streaks.duos.longestLoss), ['Ceca & Dule']);
+    assert.deepEqual(streaks.current.win, [{ name: 'Ana', duo: false, length: 3, from: '2026-03-07T00:40:00+00:00', to: '2026-03-14T21:00:00+00:00' }]);
+    assert.deepEqual(names(streaks.current.loss), ['Dule']);
+
+    // A one-game run is no current streak, and nobody holds a record nobody has
+    const firstGame = stats.calculateRecords(events, matches.slice(0, 1)).streaks;
+    assert.deepEqual(firstGame.current, { win: [], loss: [] });
+    assert.deepEqual(names(firstGame.duos.longestLoss), ['Ceca & Dule']);
+});
+
+test('calculateTrends buckets by playday or week and rolls rates over game counts', () => {
+    const byPlayday = stats.calculateTrends(events, matches, 'playday', 2);
+    assert.deepEqual(byPlayday.buckets.map(b => b.games), [3, 1]);
+
+    const ana = byPlayday.players.find(p => p.name === 'Ana');
+    assert.deepEqual(ana.games, [3, 1]);
+    // 2 wins from 3 games, then 1 from 1: the rolling rate is 3 of 4, not the mean of 67% and 100%
+    assert.deepEqual(ana.winRate.rolling, [2 / 3, 3 / 4]);
+
+    // Boost was not used on the second playday, so there is no conversion to show
+    const boost = byPlayday.powerups.find(p => p.name === 'Boost');
+    assert.deepEqual(boost.used, [2, 0]);
+    assert.deepEqual(boost.conversion.value, [0.5, null]);
+    assert.equal(byPlayday.powerups.reduce((sum, p) => sum + p.usageShare.value[0], 0), 1);
+
+    const byWeek = stats.calculateTrends(events, matches, 'week');
+    assert.ok(byWeek.buckets.every(b => b.start.getDay() === 1 && b.start.getHours() === 0));
+    assert.deepEqual(stats.trendSeries([1, 0, 3], [2, 0, 2], 2), { value: [0.5, null, 1.5], rolling: [0.5, null, 1.5] });
+});
+
+test('findDataQualityIssues reports orphan rows, bad values and missing players', () => {
+    const brokenMatches = [
+        ...matches,
+        { id: 5, game_id: 'g4', team0_players: ['Ana'], team1_players: ['Ana', 'Dule'], winning_team: 2, created_at: '2026-03-13T21:01:00+00:00' },
+        { id: 6, game_id: 'g5', team0_players: [], team1_players: ['Ceca'], winning_team: 1, created_at: '2026-03-14T21:00:00+00:00' }
+    ];
+    const brokenEvents = [
+        ...events,
+        { id: 90, game_id: 'g1', player_name: 'Ema', team_num: 0, powerup_name: 'None', event_type: 'Goal', created_at: '2026-03-06T20:57:00+00:00' },
+        { id: 91, game_id: 'g1', player_name: 'Ema', team_num: 3, powerup_name: 'Boost', event_type: 'Activation', created_at: '2026-03-06T20:58:00+00:00' },
+        // An orphan row still has its team_num checked
+        { id: 92, game_id: 'g99', player_name: 'Ana', team_num: -1, powerup_name: 'Freeze', event_type: 'Activation', created_at: '2026-03-13T20:55:00+00:00' }
+    ];
+    const issues = stats.findDataQualityIssues(brokenEvents, brokenMatches);
+
+    assert.deepEqual(issues.map(i => [i.type, i.game_id, i.ids]), [
+        ['events-without-match', 'g99', [15, 92]],
+        ['match-without-events', 'g5', [6]],
+        ['duplicate-game-id', 'g4', [4, 5]],
+        ['invalid-winner', 'g4', [5]],
+        ['empty-roster', 'g5', [6]],
+        ['player-on-both-teams', 'g4', [5]],
+        ['invalid-team-num', 'g1', [91]],
+        ['invalid-team-num', 'g99', [92]],
+        ['player-not-in-roster', 'g1', [90, 91]]
+    ]);
+    assert.deepEqual(stats.findDataQualityIssues(events.filter(e => e.game_id !== 'g99'), matches), []);
+});
+
+test('validateMatchEntry and buildMatchRows turn a manual entry into rows', () => {
+    const entry = {
+        game_id: 'm1',
+        created_at: '2026-03-20T21:00:00.000Z',
+        team0_players: ['Ana', 'Bojan'],
+        team1_players: ['Ceca'],
+        winning_team: 0,
+        goals: [{ player_name: 'Ana', team_num: 0 }, { player_name: 'Ceca', team_num: 1 }]
+    };
+    assert.deepEqual(stats.validateMatchEntry(entry, matches), []);
+    assert.deepEqual(stats.validateMatchEntry({ ...entry, game_id: 'g1', team1_players: ['Ana'], winning_team: null }, matches), [
+        'There already is a result for game_id g1',
+        'Ana cannot play on both teams',
+        'Pick the winning team',
+        'Ceca scored for team 1 but is not on it'
+    ]);
+    // Team numbers other than 0 and 1 are reported, not used to look up a roster
+    assert.deepEqual(stats.validateMatchEntry({ ...entry, winning_team: 2, goals: [{ player_name: 'Ana', team_num: 3 }, { player_name: 'Ceca', team_num: NaN }] }, matches), [
+        'winning_team is 2, it must be 0 or 1',
+        'Ana scored for team 3, it must be 0 or 1',
+        'Ceca scored for team NaN, it must be 0 or 1'
+    ]);
+    assert.deepEqual(stats.validateRowChanges({ game_id: 'g1', winning_team: null }), []);
+    assert.deepEqual(stats.validateRowChanges({ team_num: 1, player_name: 'Ana' }), []);
+    assert.deepEqual(stats.validateRowChanges({ winning_team: -1 }), ['winning_team is -1, it must be 0, 1 or empty']);
+    assert.deepEqual(stats.validateRowChanges({ team_num: 0.5 }), ['team_num is 0.5, it must be 0, 1 or empty']);
+
+    const { match, events: goals } = stats.buildMatchRows(entry);
+    assert.equal(match.created_at, entry.created_at);
+    assert.deepEqual(goals.map(g => [g.player_name, g.team_num, g.event_type, g.created_at]), [
+        ['Ana', 0, 'Goal', '2026-03-20T20:59:58.000Z'],
+        ['Ceca', 1, 'Goal', '2026-03-20T20:59:59.000Z']
+    ]);
+    // A manual game is a complete game as far as the checks go
+    assert.deepEqual(stats.findDataQualityIssues([...events.filter(e => e.game_id !== 'g99'), ...goals], [...matches, match]), []);
+});
+
+test('calculatePlaydayRecap picks the headlines of one night', () => {
+    const [firstNight] = stats.groupMatchesIntoPlaydays(matches);
+    const recap = stats.calculatePlaydayRecap(events, matches, firstNight);
+
+    assert.equal(recap.games, 3);
+    assert.deepEqual(recap.mvp, { players: ['Ana'], goals: 2, games: 3 });
+    // Ana & Bojan won once but also lost once
+    assert.deepEqual(recap.bestDuo, { name: 'Ana & Ceca', wins: 1, losses: 0 });
+    assert.equal(recap.luckiest.player, 'Ana');
+    assert.deepEqual(recap.topPowerup, { name: 'Kaktus', used: 3, share: 3 / 8 });
+    assert.equal(recap.upset, null);
+});
+
+test('calculatePlaydayRecap finds the biggest upset against the earlier head-to-head', () => {
+    const history = [
+        ...matches,
+        ...[1, 2].map(i => ({ id: 10 + i, game_id: `h${i}`, team0_players: ['Dule', 'Ceca'], team1_players: ['Ana', 'Bojan'], winning_team: 0, created_at: `2026-03-0${7 + i}T21:00:00+00:00` }))
+    ];
+    const nights = stats.groupMatchesIntoPlaydays(history);
+    const recap = stats.calculatePlaydayRecap(events, history, nights[nights.length - 1]);
+
+    // Before g4 Ana & Bojan had won 1 of 4 meetings
+    assert.deepEqual(recap.upset, { game_id: 'g4', winner: 'Ana & Bojan', loser: 'Ceca & Dule', winnerWins: 1, loserWins: 3 });
+});